@@ -0,0 +1,346 @@
+/**
+ * Asset Catalog Module
+ *
+ * Indexes the background videos, background images and music tracks in
+ * assets/ so they can be picked smartly instead of uniformly at random:
+ *   - rotation: the least recently used asset goes next
+ *   - themes:   assets whose tags match the memes' sources are preferred
+ *               (a "minecraft" background for memes from r/MinecraftMemes)
+ *   - mood:     MUSIC_MOOD limits music to tracks with that mood
+ *
+ * The catalog lives in assets/catalog.json (override with CATALOG_PATH):
+ *
+ *   {
+ *     "themes": { "r/HistoryMemes": ["history", "documentary"] },
+ *     "assets": {
+ *       "backgrounds/minecraft_parkour.mp4": {
+ *         "kind": "background", "tags": ["minecraft", "parkour"], "mood": null,
+ *         "duration": 612.4
+ *       }
+ *     }
+ *   }
+ *
+ * "node scheduler.js catalog scan" adds new files (tags guessed from the file
+ * name), probes durations and drops deleted files; tags and moods can then be
+ * edited by hand. Files missing from the catalog are still picked up when
+ * selecting, so scanning is optional.
+ *
+ * A source matches a tag when the tag appears in the source's name
+ * (r/MinecraftMemes → minecraft) or in the source's "themes" entry.
+ *
+ * Picking an asset doesn't count as using it: callers pass the picked keys
+ * to markUsed() once the video has rendered, so a failed render doesn't
+ * push its background and music to the back of the rotation. Use counts
+ * are run state, kept apart from the hand-edited catalog in
+ * data/asset-usage.json (override with ASSET_USAGE_PATH):
+ *
+ *   { "assets": { "backgrounds/minecraft_parkour.mp4": { "uses": 3, "lastUsedAt": "2024-01-01T12:00:00.000Z" } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { probeDuration } = require('./backgroundSegments');
+
+const ASSETS_DIR = path.join(__dirname, 'assets');
+const CATALOG_PATH = process.env.CATALOG_PATH || path.join(ASSETS_DIR, 'catalog.json');
+const USAGE_PATH = process.env.ASSET_USAGE_PATH || path.join(__dirname, 'data', 'asset-usage.json');
+
+const KINDS = {
+  background: { dir: 'backgrounds', extensions: ['.mp4', '.mov', '.avi', '.mkv', '.webm'] },
+  image: { dir: 'images', extensions: ['.jpg', '.jpeg', '.png', '.webp'] },
+  music: { dir: 'music', extensions: ['.mp3', '.wav', '.aac', '.m4a'] },
+};
+
+const MOODS = ['chill', 'upbeat', 'hype', 'funny', 'epic', 'dramatic', 'sad', 'lofi'];
+
+// File name words that say nothing about the content
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'gameplay', 'video', 'clip', 'music', 'track', 'song',
+  'background', 'free', 'copyright', 'nocopyright', 'royalty', 'loop', 'full', 'mp4', 'mp3',
+]);
+
+/**
+ * Load the use counts
+ * @returns {Object} Per catalog key: { uses, lastUsedAt }
+ */
+function loadUsage() {
+  if (!fs.existsSync(USAGE_PATH)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(USAGE_PATH, 'utf-8')).assets || {};
+  } catch (error) {
+    console.log(`⚠️ Could not read ${USAGE_PATH}, starting the rotation over: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Write the use counts
+ * @param {Object} usage - Per catalog key: { uses, lastUsedAt }
+ */
+function saveUsage(usage) {
+  fs.mkdirSync(path.dirname(USAGE_PATH), { recursive: true });
+  fs.writeFileSync(USAGE_PATH, JSON.stringify({ version: 1, assets: usage }, null, 2));
+}
+
+/**
+ * Load the catalog, with each asset's use count and last use
+ * @returns {Object} { version, themes, assets }
+ */
+function loadCatalog() {
+  let data = {};
+  if (fs.existsSync(CATALOG_PATH)) {
+    try {
+      data = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${CATALOG_PATH}: ${error.message}`);
+    }
+  }
+
+  // Catalogs from before the usage file kept the counts in the records
+  const usage = loadUsage();
+  const assets = {};
+  Object.entries(data.assets || {}).forEach(([key, record]) => {
+    assets[key] = { ...record, uses: record.uses || 0, lastUsedAt: record.lastUsedAt || null, ...usage[key] };
+  });
+  return { version: 1, themes: data.themes || {}, assets };
+}
+
+/**
+ * Write the catalog (use counts stay in the usage file)
+ * @param {Object} catalog - Catalog to save
+ */
+function saveCatalog(catalog) {
+  const assets = {};
+  Object.entries(catalog.assets).forEach(([key, { uses, lastUsedAt, ...record }]) => {
+    assets[key] = record;
+  });
+  fs.mkdirSync(path.dirname(CATALOG_PATH), { recursive: true });
+  fs.writeFileSync(CATALOG_PATH, JSON.stringify({ ...catalog, assets }, null, 2));
+}
+
+/**
+ * Guess tags and mood from a file name
+ * @param {string} fileName - e.g. "minecraft_parkour_1080p.mp4"
+ * @returns {Object} { tags, mood }
+ */
+function guessTags(fileName) {
+  const words = path.basename(fileName, path.extname(fileName))
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !/^\d+p?$/.test(word) && !STOP_WORDS.has(word));
+
+  const mood = words.find(word => MOODS.includes(word)) || null;
+  return { tags: [...new Set(words.filter(word => word !== mood))], mood };
+}
+
+/**
+ * List the asset files on disk
+ * @param {string} kind - 'background', 'image' or 'music'
+ * @returns {string[]} Catalog keys (paths relative to assets/)
+ */
+function listFiles(kind) {
+  const { dir, extensions } = KINDS[kind];
+  const dirPath = path.join(ASSETS_DIR, dir);
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  return fs.readdirSync(dirPath)
+    .filter(file => !file.startsWith('.'))
+    .filter(file => extensions.some(ext => file.toLowerCase().endsWith(ext)))
+    .map(file => `${dir}/${file}`);
+}
+
+/**
+ * Get the kind of an asset from its catalog key
+ * @param {string} key - Catalog key, e.g. "music/track.mp3"
+ * @returns {string|undefined} 'background', 'image' or 'music'
+ */
+function getKind(key) {
+  return Object.keys(KINDS).find(name => key.startsWith(`${KINDS[name].dir}/`));
+}
+
+/**
+ * Get the absolute path of an asset
+ * @param {string|null} key - Catalog key from pickAsset()
+ * @returns {string|null} Path, or null without a key
+ */
+function getAssetPath(key) {
+  return key ? path.join(ASSETS_DIR, key) : null;
+}
+
+/**
+ * Create the catalog record of a new file
+ * @param {string} kind - Asset kind
+ * @param {string} key - Catalog key
+ * @returns {Object} Record
+ */
+function newRecord(kind, key) {
+  const { tags, mood } = guessTags(key);
+  return { kind, tags, mood, duration: null, uses: 0, lastUsedAt: null, addedAt: new Date().toISOString() };
+}
+
+/**
+ * Rebuild the catalog from assets/: add new files, probe durations, drop deleted files
+ * @returns {Promise<Object>} { added, removed, total }
+ */
+async function scanCatalog() {
+  const catalog = loadCatalog();
+  const onDisk = new Set();
+  let added = 0;
+
+  for (const kind of Object.keys(KINDS)) {
+    for (const key of listFiles(kind)) {
+      onDisk.add(key);
+      if (!catalog.assets[key]) {
+        catalog.assets[key] = newRecord(kind, key);
+        added++;
+      }
+      if (!catalog.assets[key].duration) {
+        try {
+          catalog.assets[key].duration = Number((await probeDuration(path.join(ASSETS_DIR, key))).toFixed(1));
+        } catch (error) {
+          console.log(`⚠️ ${error.message}`);
+        }
+      }
+    }
+  }
+
+  const removed = Object.keys(catalog.assets).filter(key => !onDisk.has(key));
+  removed.forEach(key => delete catalog.assets[key]);
+
+  saveCatalog(catalog);
+  return { added, removed: removed.length, total: onDisk.size };
+}
+
+/**
+ * Get the lowercase names of the memes' sources (without r/ or u/)
+ * @param {Object[]} memes - Memes in the video
+ * @returns {string[]} Source names
+ */
+function getSourceNames(memes = []) {
+  return [...new Set(memes
+    .filter(meme => meme && meme.source)
+    .map(meme => meme.source.replace(/^[ru]\//i, '').toLowerCase()))];
+}
+
+/**
+ * Count how many of an asset's tags match the memes' sources
+ * @param {Object} record - Catalog record
+ * @param {Object[]} memes - Memes in the video
+ * @param {Object} themes - Catalog "themes" map (source → extra tags)
+ * @returns {number} Matching tags
+ */
+function themeScore(record, memes, themes) {
+  const names = getSourceNames(memes);
+  const themeTags = new Set(memes
+    .filter(meme => meme && themes[meme.source])
+    .flatMap(meme => themes[meme.source].map(tag => tag.toLowerCase())));
+
+  return record.tags.filter(tag => {
+    const value = tag.toLowerCase();
+    return themeTags.has(value) || (value.length >= 3 && names.some(name => name.includes(value)));
+  }).length;
+}
+
+/**
+ * Pick an asset: theme match first, then least recently used
+ * @param {string} kind - 'background', 'image' or 'music'
+ * @param {Object} options - Selection options
+ * @param {Object[]} options.memes - Memes in the video (for theme matching)
+ * @param {string} options.mood - Only consider assets with this mood (default: MUSIC_MOOD for music)
+ * @returns {string|null} Catalog key of the asset (see getAssetPath), or null if there are none
+ */
+function pickAsset(kind, options = {}) {
+  const { memes = [], mood = kind === 'music' ? process.env.MUSIC_MOOD : null } = options;
+  const catalog = loadCatalog();
+
+  // Files not in the catalog yet are still eligible, and still rotate
+  const keys = listFiles(kind);
+  const usage = loadUsage();
+  keys.forEach(key => {
+    if (!catalog.assets[key]) catalog.assets[key] = { ...newRecord(kind, key), ...usage[key] };
+  });
+  if (keys.length === 0) {
+    return null;
+  }
+
+  let candidates = keys.map(key => ({ key, record: catalog.assets[key] }));
+  if (mood) {
+    const moodMatches = candidates.filter(c => c.record.mood === mood);
+    if (moodMatches.length > 0) candidates = moodMatches;
+  }
+
+  const scored = candidates.map(c => ({ ...c, score: themeScore(c.record, memes, catalog.themes) }));
+  const bestScore = Math.max(...scored.map(c => c.score));
+  candidates = scored.filter(c => c.score === bestScore);
+
+  // Least recently used; never-used assets first, ties broken at random
+  const lastUsed = c => (c.record.lastUsedAt ? new Date(c.record.lastUsedAt).getTime() : 0);
+  const oldest = Math.min(...candidates.map(lastUsed));
+  const pool = candidates.filter(c => lastUsed(c) === oldest);
+  const picked = pool[Math.floor(Math.random() * pool.length)];
+
+  const matched = bestScore > 0 ? ' (matches the memes\' theme)' : '';
+  const icons = { background: '📹', image: '🖼️', music: '🎵' };
+  console.log(`${icons[kind]} Selected ${kind}: ${path.basename(picked.key)}${matched}`);
+  return picked.key;
+}
+
+/**
+ * Record that assets went into a rendered video
+ * @param {Array<string|null>} keys - Catalog keys from pickAsset(); empty entries are skipped
+ */
+function markUsed(keys) {
+  const used = keys.filter(Boolean);
+  if (used.length === 0) {
+    return;
+  }
+
+  const { assets } = loadCatalog();
+  const usage = loadUsage();
+  const now = new Date().toISOString();
+  used.forEach(key => {
+    const uses = (usage[key] || assets[key] || {}).uses || 0;
+    usage[key] = { uses: uses + 1, lastUsedAt: now };
+  });
+  saveUsage(usage);
+}
+
+/**
+ * Set the tags of an asset
+ * @param {string} file - File name or path relative to assets/
+ * @param {string[]} tags - New tags
+ * @returns {string} Catalog key of the asset
+ */
+function tagAsset(file, tags) {
+  const catalog = loadCatalog();
+  const key = Object.keys(KINDS)
+    .flatMap(kind => listFiles(kind))
+    .find(candidate => candidate === file || path.basename(candidate) === path.basename(file));
+  if (!key) {
+    throw new Error(`No background, image or music file named ${file} in ${ASSETS_DIR}`);
+  }
+
+  catalog.assets[key] = { ...(catalog.assets[key] || newRecord(getKind(key), key)), tags: tags.map(tag => tag.toLowerCase()) };
+  saveCatalog(catalog);
+  return key;
+}
+
+module.exports = {
+  CATALOG_PATH,
+  USAGE_PATH,
+  KINDS,
+  MOODS,
+  loadCatalog,
+  guessTags,
+  listFiles,
+  scanCatalog,
+  getAssetPath,
+  pickAsset,
+  markUsed,
+  tagAsset,
+};
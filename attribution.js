@@ -0,0 +1,137 @@
+/**
+ * Attribution Module
+ *
+ * Keeps a per-video attribution ledger so every meme in a video can be
+ * credited to its creator. The ledger is stored next to the rendered file
+ * (meme_video_<timestamp>.credits.json) and feeds:
+ *   - the optional credit line burned in under each meme (CREDIT_LINE=true)
+ *   - the "Credits" section of the YouTube description
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build the attribution record of a meme
+ * @param {Object} meme - Fetched meme (see sources.js)
+ * @returns {Object} { postId, source, author, permalink, title, url, fetchedAt }
+ */
+function toCredit(meme) {
+  return {
+    postId: meme.id || null,
+    source: meme.source || 'unknown',
+    author: meme.author || 'unknown',
+    permalink: meme.permalink || null,
+    title: meme.title || '',
+    url: meme.url || null,
+    fetchedAt: meme.fetchedAt || new Date().toISOString(),
+  };
+}
+
+/**
+ * Format an author name, with the u/ prefix for Reddit posts
+ * @param {Object} credit - Attribution record
+ * @returns {string} Display name
+ */
+function formatAuthor(credit) {
+  const isReddit = /^[ru]\//.test(credit.source);
+  return isReddit && credit.author !== 'unknown' ? `u/${credit.author}` : credit.author;
+}
+
+/**
+ * Short credit line shown under a meme in the video
+ * @param {Object} credit - Attribution record
+ * @returns {string} e.g. "u/someone | r/memes"
+ */
+function formatCreditLine(credit) {
+  const author = formatAuthor(credit);
+  return credit.source && credit.source !== author ? `${author} | ${credit.source}` : author;
+}
+
+/**
+ * "Credits" section for the video description
+ * @param {Object[]} credits - Attribution records
+ * @returns {string} Description section, or '' when there is nothing to credit
+ */
+function formatDescriptionCredits(credits = []) {
+  if (credits.length === 0) {
+    return '';
+  }
+
+  let section = 'Credits:\n';
+  credits.forEach((credit, i) => {
+    section += `${i + 1}. "${credit.title.substring(0, 80)}" by ${formatAuthor(credit)} (${credit.source})\n`;
+    if (credit.permalink) {
+      section += `   ${credit.permalink}\n`;
+    }
+  });
+  return section;
+}
+
+/**
+ * Get the ledger path for a video
+ * @param {string} videoPath - Rendered video path
+ * @returns {string} Path of the .credits.json file next to it
+ */
+function getLedgerPath(videoPath) {
+  return videoPath.replace(/\.[^.]+$/, '.credits.json');
+}
+
+/**
+ * Write the attribution ledger of a video
+ * @param {string} videoPath - Rendered video path
+ * @param {Object[]} memes - Memes used in the video, in display order
+ * @returns {Object} Ledger { video, createdAt, credits }
+ */
+function writeLedger(videoPath, memes) {
+  const ledger = {
+    video: path.basename(videoPath),
+    createdAt: new Date().toISOString(),
+    credits: memes.map(toCredit),
+  };
+
+  const ledgerPath = getLedgerPath(videoPath);
+  fs.writeFileSync(ledgerPath, JSON.stringify(ledger, null, 2));
+  console.log(`📝 Credits saved to: ${ledgerPath}`);
+  return ledger;
+}
+
+/**
+ * Read the attribution ledger of a video
+ * @param {string} videoPath - Rendered video path
+ * @returns {Object|null} Ledger, or null if there is none
+ */
+function readLedger(videoPath) {
+  const ledgerPath = getLedgerPath(videoPath);
+  if (!fs.existsSync(ledgerPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(ledgerPath, 'utf-8'));
+  } catch (error) {
+    console.log(`⚠️ Could not read ${ledgerPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Delete the ledger of a video (after the video itself is removed)
+ * @param {string} videoPath - Rendered video path
+ */
+function deleteLedger(videoPath) {
+  const ledgerPath = getLedgerPath(videoPath);
+  if (fs.existsSync(ledgerPath)) {
+    fs.unlinkSync(ledgerPath);
+  }
+}
+
+module.exports = {
+  toCredit,
+  formatCreditLine,
+  formatDescriptionCredits,
+  getLedgerPath,
+  writeLedger,
+  readLedger,
+  deleteLedger,
+};
@@ -0,0 +1,171 @@
+/**
+ * Audio Mix Module
+ *
+ * Builds the audio half of the FFmpeg filter graph. Every source is resampled
+ * to the same format, then:
+ *   music      - the selected track at MUSIC_VOLUME, looped to fill the video
+ *   gameplay   - the background video's own audio at GAMEPLAY_VOLUME, ducked
+ *                under the music with sidechain compression (AUDIO_DUCKING)
+ *   clips      - the audio of clip memes (CLIP_AUDIO=true)
+ * are mixed, padded/cut to the video length and faded in and out
+ * (AUDIO_FADE seconds). Narration lines (see narration.js) are placed at
+ * their cue times on top, with everything else ducked under the voice, and
+ * the result is normalized to LOUDNESS_TARGET LUFS with loudnorm.
+ *
+ * A video with no audio source at all gets a silent stereo track, so every
+ * upload has the same stream layout.
+ *
+ * amix runs with normalize=0 so adding a track doesn't turn the others down;
+ * that option needs FFmpeg 4.4 or newer.
+ */
+
+const AUDIO_CONFIG = {
+  musicVolume: process.env.MUSIC_VOLUME !== undefined ? parseFloat(process.env.MUSIC_VOLUME) : 0.8,
+  gameplayVolume: process.env.GAMEPLAY_VOLUME !== undefined ? parseFloat(process.env.GAMEPLAY_VOLUME) : 0.5,
+  ducking: process.env.AUDIO_DUCKING !== 'false',
+  duckThreshold: 0.05, // Music level (0-1) above which the gameplay is pushed down
+  duckRatio: 8,
+  voiceDuckThreshold: 0.02, // Voice level (0-1) above which the rest of the mix is pushed down
+  voiceDuckRatio: 10,
+  fadeDuration: process.env.AUDIO_FADE !== undefined ? parseFloat(process.env.AUDIO_FADE) : 1,
+  normalize: process.env.AUDIO_NORMALIZE !== 'false',
+  loudness: parseFloat(process.env.LOUDNESS_TARGET) || -14, // LUFS (YouTube plays back at -14)
+  truePeak: -1.5, // dBTP
+  loudnessRange: 11, // LU
+  sampleRate: 48000,
+};
+
+/**
+ * Build the audio filters
+ * @param {Object} sources - Audio inputs
+ * @param {number|null} sources.gameplay - Input index of the background video, if it has audio
+ * @param {number|null} sources.music - Input index of the music track
+ * @param {Object[]} sources.clips - Clip audio: { input, window } where window is { start, end } or null
+ * @param {number} sources.clipVolume - Volume of clip audio
+ * @param {Object[]} sources.narration - Narration lines: { input, start } in seconds
+ * @param {number} sources.narrationVolume - Volume of the narration
+ * @param {number} sources.duration - Video length in seconds
+ * @returns {Object} { filters, label, description } - Filters end in [aout]
+ */
+function buildAudioFilters(sources) {
+  const { gameplay = null, music = null, clips = [], clipVolume = 1, narration = [], narrationVolume = 1, duration } = sources;
+  const { musicVolume, gameplayVolume, ducking, duckThreshold, duckRatio, fadeDuration, sampleRate } = AUDIO_CONFIG;
+  const format = `aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+
+  if (gameplay === null && music === null && clips.length === 0 && narration.length === 0) {
+    return {
+      filters: [`anullsrc=channel_layout=stereo:sample_rate=${sampleRate},atrim=duration=${duration}[aout]`],
+      label: 'aout',
+      description: 'silent track',
+    };
+  }
+
+  const filters = [];
+  const mixLabels = [];
+  const parts = [];
+
+  if (music !== null) {
+    filters.push(`[${music}:a]${format},volume=${musicVolume}[music]`);
+    parts.push(`music ${Math.round(musicVolume * 100)}%`);
+  }
+
+  if (gameplay !== null) {
+    const gameplayChain = `[${gameplay}:a]${format},volume=${gameplayVolume}`;
+    if (music !== null && ducking) {
+      // The music drives a compressor on the gameplay track
+      filters.push(`[music]asplit=2[musicmix][musickey]`);
+      filters.push(`${gameplayChain}[gameraw]`);
+      filters.push(`[gameraw][musickey]sidechaincompress=threshold=${duckThreshold}:ratio=${duckRatio}:attack=20:release=400[gameplay]`);
+      parts.push(`gameplay ${Math.round(gameplayVolume * 100)}% (ducked)`);
+    } else {
+      filters.push(`${gameplayChain}[gameplay]`);
+      parts.push(`gameplay ${Math.round(gameplayVolume * 100)}%`);
+    }
+    mixLabels.push('[gameplay]');
+  }
+
+  if (music !== null) {
+    mixLabels.push(gameplay !== null && ducking ? '[musicmix]' : '[music]');
+  }
+
+  clips.forEach((clip, i) => {
+    let chain = `[${clip.input}:a]${format},volume=${clipVolume}`;
+    if (clip.window) {
+      // Sequential mode: only play a clip's sound while the clip is on screen
+      const { start, end } = clip.window;
+      const delay = Math.round(start * 1000);
+      chain += `,atrim=duration=${(end - start).toFixed(2)},asetpts=PTS-STARTPTS,adelay=${delay}|${delay}`;
+    }
+    filters.push(`${chain}[clip${i}]`);
+    mixLabels.push(`[clip${i}]`);
+  });
+  if (clips.length > 0) {
+    parts.push(`${clips.length} clip track(s) ${Math.round(clipVolume * 100)}%`);
+  }
+
+  let chain;
+  if (mixLabels.length > 0) {
+    chain = mixLabels.length > 1
+      ? `${mixLabels.join('')}amix=inputs=${mixLabels.length}:duration=longest:dropout_transition=0:normalize=0`
+      : `${mixLabels[0]}anull`;
+  } else {
+    // Narration only
+    chain = `anullsrc=channel_layout=stereo:sample_rate=${sampleRate}`;
+  }
+
+  // Exactly as long as the video, with silence where the sources run out
+  chain += `,apad,atrim=duration=${duration}`;
+
+  const fade = Math.min(fadeDuration, duration / 4);
+  if (fade > 0) {
+    chain += `,afade=t=in:st=0:d=${fade},afade=t=out:st=${(duration - fade).toFixed(2)}:d=${fade}`;
+  }
+
+  if (narration.length > 0) {
+    // Each line at its cue time; the fades above leave the voice alone
+    narration.forEach((line, i) => {
+      const delay = Math.round(line.start * 1000);
+      filters.push(`[${line.input}:a]${format},volume=${narrationVolume},adelay=${delay}|${delay}[voice${i}]`);
+    });
+    const voiceLabels = narration.map((_, i) => `[voice${i}]`).join('');
+    filters.push(narration.length > 1
+      ? `${voiceLabels}amix=inputs=${narration.length}:duration=longest:dropout_transition=0:normalize=0,asplit=2[voicemix][voicekey]`
+      : `${voiceLabels}asplit=2[voicemix][voicekey]`);
+
+    filters.push(`${chain}[bed]`);
+    const duckUnderVoice = ducking && mixLabels.length > 0;
+    if (duckUnderVoice) {
+      const { voiceDuckThreshold, voiceDuckRatio } = AUDIO_CONFIG;
+      filters.push(`[bed][voicekey]sidechaincompress=threshold=${voiceDuckThreshold}:ratio=${voiceDuckRatio}:attack=10:release=300[ducked]`);
+    } else {
+      filters.push('[voicekey]anullsink');
+    }
+    chain = `${duckUnderVoice ? '[ducked]' : '[bed]'}[voicemix]amix=inputs=2:duration=first:dropout_transition=0:normalize=0`;
+    parts.push(`${narration.length} narration line(s) ${Math.round(narrationVolume * 100)}%${duckUnderVoice ? ' (rest ducked under it)' : ''}`);
+  }
+
+  if (AUDIO_CONFIG.normalize) {
+    chain += `,${loudnessFilter()}`;
+    parts.push(`normalized to ${AUDIO_CONFIG.loudness} LUFS`);
+  }
+
+  filters.push(`${chain}[aout]`);
+  return { filters, label: 'aout', description: parts.join(', ') };
+}
+
+/**
+ * Get the filters that bring audio to LOUDNESS_TARGET (also used for bumpers,
+ * so every part of a video plays at the same level)
+ * @returns {string} loudnorm and resample filters
+ */
+function loudnessFilter() {
+  const { loudness, truePeak, loudnessRange, sampleRate } = AUDIO_CONFIG;
+  // loudnorm upsamples internally; bring it back to the output rate
+  return `loudnorm=I=${loudness}:TP=${truePeak}:LRA=${loudnessRange},aresample=${sampleRate}`;
+}
+
+module.exports = {
+  AUDIO_CONFIG,
+  loudnessFilter,
+  buildAudioFilters,
+};
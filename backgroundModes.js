@@ -0,0 +1,165 @@
+/**
+ * Background Modes Module
+ *
+ * Decides what goes behind the memes. Choose with BACKGROUND_MODE or the
+ * --background flag:
+ *   gameplay  A video from assets/backgrounds (see backgroundSegments.js)
+ *   blur      The first meme, zoomed in and blurred (BLUR_INTENSITY)
+ *   gradient  An animated color gradient generated by FFmpeg
+ *   image     A still image from assets/images with a slow pan
+ *   auto      gameplay if there are background videos, else image if there
+ *             are images, else blur (default)
+ *
+ * blur and gradient need no assets, so a fresh checkout renders out of the box.
+ * The gradient comes from FFmpeg's gradients source (FFmpeg 4.4 or newer).
+ */
+
+const path = require('path');
+const catalog = require('./assetCatalog');
+
+const MODES = ['gameplay', 'blur', 'gradient', 'image'];
+
+// Color pairs for the gradient mode; GRADIENT_COLORS overrides them
+const GRADIENT_PALETTES = [
+  ['0x1e3c72', '0x2a5298'],
+  ['0x42275a', '0x734b6d'],
+  ['0x0f2027', '0x2c5364'],
+  ['0xee0979', '0xff6a00'],
+  ['0x134e5e', '0x71b280'],
+  ['0x23074d', '0xcc5333'],
+];
+
+const BACKGROUND_CONFIG = {
+  mode: process.env.BACKGROUND_MODE || 'auto',
+  blurIntensity: parseInt(process.env.BLUR_INTENSITY) || 10,
+  blurZoom: 1.2,     // Blurred meme is scaled past the frame so its edges don't show
+  panZoom: 1.15,     // Still image is this much larger than the frame; the pan crosses the extra
+  gradientColors: process.env.GRADIENT_COLORS ? process.env.GRADIENT_COLORS.split(',').map(c => c.trim()) : null,
+  gradientSpeed: 0.015,
+};
+
+/**
+ * Pick the background for a render
+ * @param {Object} options - Selection options
+ * @param {string} options.mode - Background mode (default: BACKGROUND_MODE)
+ * @param {Object[]} options.memes - Memes in the video, for theme matching
+ * @returns {Object} { mode, path, key } - path is null for blur and gradient; key is the
+ *   asset's catalog key, for catalog.markUsed() once the video is rendered
+ */
+function chooseBackground(options = {}) {
+  const { memes = [] } = options;
+  let mode = options.mode || BACKGROUND_CONFIG.mode;
+
+  if (mode === 'auto') {
+    const hasVideos = catalog.listFiles('background').length > 0;
+    const hasImages = catalog.listFiles('image').length > 0;
+    mode = hasVideos ? 'gameplay' : hasImages ? 'image' : 'blur';
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown background mode "${mode}" (use auto, ${MODES.join(', ')})`);
+  }
+
+  if (mode === 'gameplay') {
+    const key = catalog.pickAsset('background', { memes });
+    if (!key) {
+      throw new Error('No video files found in assets/backgrounds. Add a 16:9 gameplay video or use --background blur, gradient or image.');
+    }
+    return { mode, path: catalog.getAssetPath(key), key };
+  }
+
+  if (mode === 'image') {
+    const key = catalog.pickAsset('image', { memes });
+    if (!key) {
+      throw new Error('No images found in assets/images. Add a background image or use --background blur or gradient.');
+    }
+    return { mode, path: catalog.getAssetPath(key), key };
+  }
+
+  return { mode, path: null, key: null };
+}
+
+/**
+ * Get the FFmpeg input that feeds the background (input 0)
+ * @param {Object} background - Output of chooseBackground()
+ * @param {Object} context - { memePath, memeInputOptions, width, height, fps, duration }
+ * @returns {Object} { source, inputOptions }
+ */
+function getBackgroundInput(background, context) {
+  const { memePath, memeInputOptions = [], width, height, fps, duration } = context;
+
+  switch (background.mode) {
+    case 'blur':
+      return { source: memePath, inputOptions: memeInputOptions };
+
+    case 'gradient': {
+      const palette = BACKGROUND_CONFIG.gradientColors
+        || GRADIENT_PALETTES[Math.floor(Math.random() * GRADIENT_PALETTES.length)];
+      const colors = palette.map((color, i) => `c${i}=${color}`).join(':');
+      return {
+        source: `gradients=s=${width}x${height}:${colors}:nb_colors=${palette.length}:speed=${BACKGROUND_CONFIG.gradientSpeed}:r=${fps}:d=${duration}`,
+        inputOptions: ['-f', 'lavfi'],
+      };
+    }
+
+    case 'image':
+      return { source: background.path, inputOptions: ['-loop', '1', '-framerate', String(fps)] };
+
+    default:
+      return { source: background.path, inputOptions: [] };
+  }
+}
+
+/**
+ * Filter that turns input 0 into the full-frame background
+ * @param {Object} background - Output of chooseBackground() (default: gameplay)
+ * @param {Object} canvas - { width, height, fps, duration, input, output }; input and output
+ *   are the filter labels to read and write (default: 0:v and bg)
+ * @returns {string} Filter labelled [bg] (or the given output label)
+ */
+function buildBackgroundFilter(background, canvas) {
+  const { width, height, fps, duration, input = '0:v', output = 'bg' } = canvas;
+  const fill = (w, h) => `scale=${w}:${h}:force_original_aspect_ratio=increase`;
+
+  switch (background && background.mode) {
+    case 'blur': {
+      const zoom = BACKGROUND_CONFIG.blurZoom;
+      const even = value => Math.round(value / 2) * 2;
+      return `[${input}]${fill(even(width * zoom), even(height * zoom))},crop=${width}:${height},` +
+        `boxblur=${BACKGROUND_CONFIG.blurIntensity}:2,eq=brightness=-0.08,setsar=1,fps=${fps}[${output}]`;
+    }
+
+    case 'gradient':
+      // Generated at the largest output size; smaller outputs take their shape from it
+      return `[${input}]${fill(width, height)},crop=${width}:${height},setsar=1,format=yuv420p[${output}]`;
+
+    case 'image': {
+      // Pan from left to right across the extra width over the whole video
+      const zoom = BACKGROUND_CONFIG.panZoom;
+      const even = value => Math.round(value / 2) * 2;
+      return `[${input}]${fill(even(width * zoom), even(height * zoom))},` +
+        `crop=${width}:${height}:x='(iw-ow)*min(t/${duration},1)':y='(ih-oh)/2',setsar=1,fps=${fps}[${output}]`;
+    }
+
+    default:
+      // Scale to fill, crop to exact size
+      return `[${input}]${fill(width, height)},crop=${width}:${height}[${output}]`;
+  }
+}
+
+/**
+ * Describe a background for logs
+ * @param {Object} background - Output of chooseBackground()
+ * @returns {string} e.g. "gameplay (minecraft.mp4)"
+ */
+function describeBackground(background) {
+  return background.path ? `${background.mode} (${path.basename(background.path)})` : background.mode;
+}
+
+module.exports = {
+  MODES,
+  BACKGROUND_CONFIG,
+  chooseBackground,
+  getBackgroundInput,
+  buildBackgroundFilter,
+  describeBackground,
+};
@@ -0,0 +1,242 @@
+/**
+ * Background Segment Module
+ *
+ * Picks which part of a background video a render uses, so a long gameplay
+ * clip gives every video different footage instead of its first 15 seconds.
+ *
+ * The clip is cut into back-to-back segments of the video's length, starting
+ * at a random offset (the "phase"), and each render takes a segment no
+ * earlier video has used. Once every segment has been used, the clip starts
+ * over with a new phase, so the next round shows different cuts.
+ *
+ * With BACKGROUND_SCENE_DETECTION=true, the clip is scored with FFmpeg's
+ * scene-change detection (a rough measure of motion, one value per second)
+ * and the pick favours the busiest segments. Scores are computed once per
+ * file and cached.
+ *
+ * Stored in data/backgrounds.json (override with BACKGROUND_STATE_PATH).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const STATE_PATH = process.env.BACKGROUND_STATE_PATH || path.join(__dirname, 'data', 'backgrounds.json');
+
+const SEGMENT_CONFIG = {
+  sceneDetection: process.env.BACKGROUND_SCENE_DETECTION === 'true',
+  // With scene detection, pick among this share of the busiest free segments
+  topShare: 0.25,
+};
+
+/**
+ * Load the segment state
+ * @returns {Object} { version, files: { [absolutePath]: { size, mtimeMs, duration, motion, phase, used } } }
+ */
+function loadState() {
+  if (!fs.existsSync(STATE_PATH)) {
+    return { version: 1, files: {} };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(STATE_PATH, 'utf-8'));
+    return { version: 1, files: data.files || {} };
+  } catch (error) {
+    console.log(`⚠️ Could not read background state: ${error.message}`);
+    return { version: 1, files: {} };
+  }
+}
+
+/**
+ * Write the segment state
+ * @param {Object} state - State to save
+ */
+function saveState(state) {
+  fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Get the state record of a file, resetting it if the file changed on disk
+ * @param {Object} state - Loaded state
+ * @param {string} filePath - Background video path
+ * @returns {Object} Record (attached to state.files)
+ */
+function getRecord(state, filePath) {
+  const key = path.resolve(filePath);
+  const stat = fs.statSync(filePath);
+  const record = state.files[key];
+  if (record && record.size === stat.size && record.mtimeMs === stat.mtimeMs) {
+    return record;
+  }
+
+  state.files[key] = { size: stat.size, mtimeMs: stat.mtimeMs, duration: null, motion: null, phase: null, used: [] };
+  return state.files[key];
+}
+
+/**
+ * Get the duration of a video
+ * @param {string} filePath - Video path
+ * @returns {Promise<number>} Duration in seconds
+ */
+function probeDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Could not probe ${path.basename(filePath)}: ${err.message}`));
+        return;
+      }
+      const duration = parseFloat(metadata.format && metadata.format.duration);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        reject(new Error(`Unknown duration for ${path.basename(filePath)}`));
+        return;
+      }
+      resolve(duration);
+    });
+  });
+}
+
+/**
+ * Score how much happens in each second of a video with FFmpeg's scene detection
+ * @param {string} filePath - Video path
+ * @param {number} duration - Video duration in seconds
+ * @returns {Promise<number[]>} Mean scene-change score (0-1) per second
+ */
+function detectMotion(filePath, duration) {
+  return new Promise((resolve, reject) => {
+    const sums = new Array(Math.ceil(duration)).fill(0);
+    const counts = new Array(Math.ceil(duration)).fill(0);
+    let second = 0;
+
+    console.log(`🔎 Scoring motion in ${path.basename(filePath)} (once per file)...`);
+    ffmpeg(filePath)
+      // Small, sampled frames are plenty for a motion estimate
+      .videoFilters(["scale=160:-2,fps=4,select='gte(scene,0)',metadata=print"])
+      .outputOptions(['-an', '-f', 'null'])
+      .output('-')
+      .on('stderr', line => {
+        const time = line.match(/pts_time:([\d.]+)/);
+        if (time) {
+          second = Math.min(sums.length - 1, Math.floor(parseFloat(time[1])));
+          return;
+        }
+        const score = line.match(/lavfi\.scene_score=([\d.]+)/);
+        if (score) {
+          sums[second] += parseFloat(score[1]);
+          counts[second] += 1;
+        }
+      })
+      .on('end', () => {
+        resolve(sums.map((sum, i) => (counts[i] ? Number((sum / counts[i]).toFixed(4)) : 0)));
+      })
+      .on('error', err => reject(new Error(`Scene detection failed: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Check whether a segment overlaps any used one
+ * @param {number} start - Segment start in seconds
+ * @param {number} length - Segment length in seconds
+ * @param {Object[]} used - Used segments { start, end }
+ * @returns {boolean} True if it overlaps
+ */
+function overlapsUsed(start, length, used) {
+  return used.some(segment => start < segment.end && start + length > segment.start);
+}
+
+/**
+ * Mean motion score of a segment
+ * @param {number[]} motion - Score per second
+ * @param {number} start - Segment start in seconds
+ * @param {number} length - Segment length in seconds
+ * @returns {number} Mean score
+ */
+function segmentMotion(motion, start, length) {
+  const seconds = motion.slice(Math.floor(start), Math.ceil(start + length));
+  return seconds.length ? seconds.reduce((sum, value) => sum + value, 0) / seconds.length : 0;
+}
+
+/**
+ * Pick the start offset of a background segment
+ * @param {string} filePath - Background video path
+ * @param {number} length - Segment length (the video's duration) in seconds
+ * @returns {Promise<Object>} { start, duration, loop } - loop is true when the clip is shorter than the segment
+ */
+async function selectSegment(filePath, length) {
+  const state = loadState();
+  const record = getRecord(state, filePath);
+
+  if (!record.duration) {
+    record.duration = await probeDuration(filePath);
+  }
+  const { duration } = record;
+
+  if (duration - length < 1) {
+    saveState(state);
+    return { start: 0, duration, loop: duration < length };
+  }
+
+  if (SEGMENT_CONFIG.sceneDetection && !record.motion) {
+    try {
+      record.motion = await detectMotion(filePath, duration);
+    } catch (error) {
+      console.log(`⚠️ ${error.message}, picking a random segment`);
+    }
+  }
+
+  // Back-to-back segments after a random phase; a new phase for every round
+  const slack = duration - length * Math.floor(duration / length);
+  const segmentStarts = () => {
+    const starts = [];
+    for (let start = record.phase; start + length <= duration; start += length) {
+      starts.push(Number(start.toFixed(2)));
+    }
+    return starts;
+  };
+  if (record.phase === null || record.phase === undefined) {
+    record.phase = Number((Math.random() * slack).toFixed(2));
+  }
+
+  let free = segmentStarts().filter(start => !overlapsUsed(start, length, record.used));
+  if (free.length === 0) {
+    console.log(`♻️ Every segment of ${path.basename(filePath)} has been used, starting over`);
+    record.used = [];
+    record.phase = Number((Math.random() * slack).toFixed(2));
+    free = segmentStarts();
+  }
+
+  let pool = free;
+  if (SEGMENT_CONFIG.sceneDetection && record.motion) {
+    pool = free
+      .map(start => ({ start, score: segmentMotion(record.motion, start, length) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.max(1, Math.ceil(free.length * SEGMENT_CONFIG.topShare)))
+      .map(candidate => candidate.start);
+  }
+
+  saveState(state);
+  return { start: pool[Math.floor(Math.random() * pool.length)], duration, loop: false };
+}
+
+/**
+ * Record a segment as used
+ * @param {string} filePath - Background video path
+ * @param {number} start - Segment start in seconds
+ * @param {number} length - Segment length in seconds
+ */
+function markSegmentUsed(filePath, start, length) {
+  const state = loadState();
+  const record = getRecord(state, filePath);
+  record.used.push({ start, end: Number((start + length).toFixed(2)), usedAt: new Date().toISOString() });
+  saveState(state);
+}
+
+module.exports = {
+  STATE_PATH,
+  SEGMENT_CONFIG,
+  probeDuration,
+  detectMotion,
+  selectSegment,
+  markSegmentUsed,
+};
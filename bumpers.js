@@ -0,0 +1,321 @@
+/**
+ * Bumpers Module
+ *
+ * Optional intro and outro segments around the meme composition, from
+ * config/bumpers.json (override with BUMPERS_CONFIG). BUMPERS lists the ones
+ * to add (e.g. "intro,outro"; default: none). Each segment is either
+ *
+ *   a sting clip   { "clip": "assets/sting.mp4", "duration": 2 }  (duration defaults to the clip's)
+ *   a card         { "text": "{channel}", "duration": 1.5, "background": "0x111111", "color": "white", "fontSize": 110 }
+ *
+ * with optional "audio" (a sound file; a clip's own sound is used otherwise),
+ * "jingle": true for a short chime generated by FFmpeg when there is no other
+ * sound (the default outro has one), and "volume". "{channel}" is
+ * CHANNEL_NAME, else WATERMARK_TEXT; "\n" starts a new line. Paths are
+ * relative to the project.
+ *
+ * Bumper sound is normalized to the main mix's loudness target (see
+ * audioMix.js), so the cut into the outro doesn't jump in level; "volume"
+ * is relative to that.
+ *
+ * The renderer joins intro, composition and outro with FFmpeg's concat,
+ * every part at the output's size, fps and audio format, and keeps each
+ * video within its output profile's maximum length.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { AUDIO_CONFIG, loudnessFilter } = require('./audioMix');
+const { TEXT_CONFIG, wrapText, drawLines } = require('./textOverlay');
+
+const BUMPERS_CONFIG_PATH = process.env.BUMPERS_CONFIG || path.join(__dirname, 'config', 'bumpers.json');
+
+const SEGMENTS = ['intro', 'outro'];
+
+// Fade of generated cards and of bumper audio, in seconds
+const FADE = 0.3;
+
+// Generated jingle: a rising C-E-G chime, each note ringing out over the next
+const JINGLE_NOTES = [523.25, 659.25, 783.99];
+const JINGLE_STEP = 0.18; // Seconds between notes
+
+let cachedConfig = null;
+
+/**
+ * Validate one segment
+ * @param {Object} segment - Segment settings
+ * @param {string} name - Segment name used in messages
+ * @returns {string[]} Problems found
+ */
+function checkSegment(segment, name) {
+  if (!segment || typeof segment !== 'object') {
+    return [`${name}: must be an object`];
+  }
+
+  const problems = [];
+  if (!segment.clip && !(typeof segment.text === 'string' && segment.text.trim())) {
+    problems.push(`${name}: needs a "clip" or a "text"`);
+  }
+  ['clip', 'audio'].forEach(key => {
+    if (segment[key] && !fs.existsSync(path.resolve(__dirname, segment[key]))) {
+      problems.push(`${name}: ${key} file not found: ${segment[key]}`);
+    }
+  });
+  const durationRequired = !segment.clip;
+  if ((durationRequired || segment.duration !== undefined) && !(typeof segment.duration === 'number' && segment.duration > 0 && segment.duration <= 10)) {
+    problems.push(`${name}: "duration" must be a number of seconds from 0 to 10`);
+  }
+  if (segment.fontSize !== undefined && !(Number.isInteger(segment.fontSize) && segment.fontSize > 0)) {
+    problems.push(`${name}: "fontSize" must be a number of pixels`);
+  }
+  if (segment.volume !== undefined && !(typeof segment.volume === 'number' && segment.volume >= 0)) {
+    problems.push(`${name}: "volume" must be a number >= 0`);
+  }
+  if (segment.jingle !== undefined && typeof segment.jingle !== 'boolean') {
+    problems.push(`${name}: "jingle" must be true or false`);
+  }
+  return problems;
+}
+
+/**
+ * Load and validate config/bumpers.json (cached)
+ * @returns {Object} { intro, outro }
+ */
+function loadBumpers() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+  if (!fs.existsSync(BUMPERS_CONFIG_PATH)) {
+    throw new Error(`Missing bumpers config: ${BUMPERS_CONFIG_PATH}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(BUMPERS_CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${BUMPERS_CONFIG_PATH}: ${error.message}`);
+  }
+
+  const problems = [];
+  Object.entries(config || {}).forEach(([name, segment]) => {
+    if (!SEGMENTS.includes(name)) {
+      problems.push(`${name}: unknown segment (use ${SEGMENTS.join(', ')})`);
+      return;
+    }
+    problems.push(...checkSegment(segment, name));
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid bumpers config ${BUMPERS_CONFIG_PATH}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  cachedConfig = config;
+  return cachedConfig;
+}
+
+/**
+ * Probe a sting clip
+ * @param {string} filePath - Clip path
+ * @returns {Promise<Object>} { duration, hasAudio }
+ */
+function probeClip(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Could not probe ${path.basename(filePath)}: ${err.message}`));
+        return;
+      }
+      resolve({
+        duration: parseFloat(metadata.format && metadata.format.duration) || 0,
+        hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio'),
+      });
+    });
+  });
+}
+
+/**
+ * Get the bumpers to add
+ * @param {string|string[]} names - Segment names, comma-separated or as an array (default: BUMPERS)
+ * @returns {Promise<Object[]>} Segments { name, duration, clip, clipHasAudio, audio, lines, ... },
+ *   intro first (empty when none are configured)
+ */
+async function prepareBumpers(names = process.env.BUMPERS) {
+  const list = (Array.isArray(names) ? names : String(names || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  if (list.length === 0) {
+    return [];
+  }
+  const unknown = list.filter(name => !SEGMENTS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown bumper "${unknown[0]}" (use ${SEGMENTS.join(', ')})`);
+  }
+
+  const config = loadBumpers();
+  const channel = process.env.CHANNEL_NAME || TEXT_CONFIG.watermark.text;
+  const segments = [];
+  for (const name of SEGMENTS.filter(segmentName => list.includes(segmentName))) {
+    const settings = config[name];
+    if (!settings) {
+      throw new Error(`BUMPERS: no "${name}" segment in ${BUMPERS_CONFIG_PATH}`);
+    }
+
+    const segment = {
+      name,
+      background: '0x111111',
+      color: 'white',
+      fontSize: 96,
+      volume: 1,
+      ...settings,
+      clip: settings.clip ? path.resolve(__dirname, settings.clip) : null,
+      audio: settings.audio ? path.resolve(__dirname, settings.audio) : null,
+      clipHasAudio: false,
+    };
+
+    if (segment.clip) {
+      const probe = await probeClip(segment.clip);
+      segment.clipHasAudio = probe.hasAudio;
+      segment.duration = Math.min(segment.duration || probe.duration, 10);
+      if (!(segment.duration > 0)) {
+        throw new Error(`${name}: unknown length of ${path.basename(segment.clip)}, set "duration"`);
+      }
+    } else {
+      if (segment.text.includes('{channel}') && !channel) {
+        throw new Error(`The ${name} card shows {channel}: set CHANNEL_NAME`);
+      }
+      segment.lines = segment.text.replace(/\{channel\}/g, channel).split('\n').map(line => line.trim()).filter(Boolean);
+    }
+    segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * Get the length of an intro, an outro or both
+ * @param {Object[]} segments - Output of prepareBumpers()
+ * @param {string} name - Only this segment (optional)
+ * @returns {number} Seconds
+ */
+function getBumperDuration(segments, name = null) {
+  return segments
+    .filter(segment => !name || segment.name === name)
+    .reduce((sum, segment) => sum + segment.duration, 0);
+}
+
+/**
+ * Build the video of one segment at an output's size and fps
+ * @param {Object} segment - Segment from prepareBumpers()
+ * @param {number|null} clipInput - Input index of the clip (clip segments)
+ * @param {Object} target - Output canvas and labels (see renderer.createTarget)
+ * @returns {string} Filter ending in the segment's label, e.g. [intro]
+ */
+function buildSegmentVideo(segment, clipInput, target) {
+  const { width, height, fps, label } = target;
+  const { duration } = segment;
+  const output = `[${label(segment.name)}]`;
+
+  if (segment.clip) {
+    // Fill the frame; a clip shorter than "duration" holds its last frame
+    return `[${target.input(clipInput)}]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,` +
+      `fps=${fps},format=yuv420p,tpad=stop_mode=clone:stop_duration=${duration},trim=duration=${duration},setpts=PTS-STARTPTS${output}`;
+  }
+
+  const { fontSize } = segment;
+  const lineHeight = Math.round(fontSize * 1.3);
+  const lines = segment.lines.flatMap(line => wrapText(line, width * 0.85, fontSize, 2));
+  const top = Math.round((height - lines.length * lineHeight) / 2);
+  const text = drawLines(lines, { fontSize, y: top, color: segment.color, border: false });
+  const fade = Math.min(FADE, duration / 4);
+  return `color=c=${segment.background}:s=${width}x${height}:r=${fps}:d=${duration},format=yuv420p,setsar=1,${text.join(',')},` +
+    `fade=t=in:st=0:d=${fade},fade=t=out:st=${(duration - fade).toFixed(2)}:d=${fade}${output}`;
+}
+
+/**
+ * Build the source of the generated jingle
+ * @param {number} duration - Segment length in seconds
+ * @returns {string} aevalsrc source
+ */
+function jingleSource(duration) {
+  const { sampleRate } = AUDIO_CONFIG;
+  // Each note starts at zero phase and decays, so there are no clicks
+  const notes = JINGLE_NOTES.map((frequency, i) => {
+    const t = i > 0 ? `(t-${(i * JINGLE_STEP).toFixed(2)})` : 't';
+    const gate = i > 0 ? `gte(t,${(i * JINGLE_STEP).toFixed(2)})*` : '';
+    return `${gate}sin(2*PI*${frequency}*${t})*exp(-3*${t})`;
+  });
+  return `aevalsrc=exprs='0.3*(${notes.join('+')})':channel_layout=stereo:sample_rate=${sampleRate}:duration=${duration}`;
+}
+
+/**
+ * Build the audio of one segment in the mix's format
+ * @param {Object} segment - Segment from prepareBumpers()
+ * @param {number|null} input - Input index of its sound (audio file, or the clip's own), if any
+ * @param {Object} target - Output labels (see renderer.createTarget)
+ * @returns {string} Filter ending in the segment's audio label, e.g. [introaudio]
+ */
+function buildSegmentAudio(segment, input, target) {
+  const { sampleRate } = AUDIO_CONFIG;
+  const { duration } = segment;
+  const output = `[${target.label(`${segment.name}audio`)}]`;
+  if (input === null && !segment.jingle) {
+    return `anullsrc=channel_layout=stereo:sample_rate=${sampleRate},atrim=duration=${duration}${output}`;
+  }
+
+  const source = input === null ? `${jingleSource(duration)},` : `[${target.audioInput(input)}]`;
+  const level = AUDIO_CONFIG.normalize ? `${loudnessFilter()},` : '';
+  const fade = Math.min(FADE, duration / 4);
+  return `${source}aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=stereo,${level}volume=${segment.volume},` +
+    `apad,atrim=duration=${duration},afade=t=out:st=${(duration - fade).toFixed(2)}:d=${fade}${output}`;
+}
+
+/**
+ * Join the bumpers and the composition of one output
+ * @param {Object[]} segments - Output of prepareBumpers()
+ * @param {Object} inputs - Per segment name: { clip, audio } input indexes of its clip and its sound (or null)
+ * @param {Object} main - { video, audio, duration }: the composition's labels and this output's length
+ * @param {Object} target - Output canvas and labels (see renderer.createTarget)
+ * @returns {Object} { filters, video, audio } - Labels of the joined streams
+ */
+function buildBumperFilters(segments, inputs, main, target) {
+  const { fps, label } = target;
+  const filters = [];
+  const intro = segments.filter(segment => segment.name === 'intro');
+  const outro = segments.filter(segment => segment.name === 'outro');
+
+  segments.forEach(segment => {
+    filters.push(buildSegmentVideo(segment, inputs[segment.name].clip, target));
+  });
+
+  // Same size, fps, pixel format and SAR in every part, cut to its length
+  filters.push(`[${main.video}]fps=${fps},format=yuv420p,setsar=1,trim=duration=${main.duration},setpts=PTS-STARTPTS[${label('main')}]`);
+  const videoParts = [...intro.map(segment => segment.name), 'main', ...outro.map(segment => segment.name)];
+  filters.push(`${videoParts.map(part => `[${label(part)}]`).join('')}concat=n=${videoParts.length}:v=1:a=0[${label('vjoined')}]`);
+
+  segments.forEach(segment => {
+    filters.push(buildSegmentAudio(segment, inputs[segment.name].audio, target));
+  });
+  const audioParts = [...intro.map(segment => `[${label(`${segment.name}audio`)}]`), `[${main.audio}]`, ...outro.map(segment => `[${label(`${segment.name}audio`)}]`)];
+  filters.push(`${audioParts.join('')}concat=n=${audioParts.length}:v=0:a=1[${label('ajoined')}]`);
+
+  return { filters, video: label('vjoined'), audio: label('ajoined') };
+}
+
+/**
+ * Describe the bumpers for logs
+ * @param {Object[]} segments - Output of prepareBumpers()
+ * @returns {string} e.g. "intro card 1.5s, outro sting.mp4 2s"
+ */
+function describeBumpers(segments) {
+  return segments
+    .map(segment => `${segment.name} ${segment.clip ? path.basename(segment.clip) : 'card'} ${segment.duration}s`)
+    .join(', ');
+}
+
+module.exports = {
+  BUMPERS_CONFIG_PATH,
+  loadBumpers,
+  prepareBumpers,
+  getBumperDuration,
+  buildBumperFilters,
+  describeBumpers,
+};
@@ -1,18 +1,18 @@
 require('dotenv').config();
-const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
 const uploader = require('./uploader');
+const { createVideo, getRenderPlan } = require('./renderer');
+const attribution = require('./attribution');
+const catalog = require('./assetCatalog');
+const backgroundModes = require('./backgroundModes');
+const thumbnail = require('./thumbnail');
 
 // Configuration
 const CONFIG = {
-  outputWidth: parseInt(process.env.OUTPUT_WIDTH) || 1080,
-  outputHeight: parseInt(process.env.OUTPUT_HEIGHT) || 1920,
-  backgroundsDir: path.join(__dirname, 'assets', 'backgrounds'),
-  musicDir: path.join(__dirname, 'assets', 'music'),
   outputDir: path.join(__dirname, 'output'),
   imageOutputDir: path.join(__dirname, 'imageOutput'),
-  requiredImages: 2,
+  requiredImages: getRenderPlan().memeCount, // Set by LAYOUT / RENDER_MODE
 };
 
 // Ensure output directory exists
@@ -21,59 +21,22 @@ if (!fs.existsSync(CONFIG.outputDir)) {
 }
 
 /**
- * Get a random file from a directory
+ * Get the value after a command line flag
+ * @param {string} flag - e.g. "--background"
+ * @returns {string|undefined} Value, if given
  */
-function getRandomFileFromDir(dirPath, extensions = []) {
-  if (!fs.existsSync(dirPath)) {
-    return null;
-  }
-
-  let files = fs.readdirSync(dirPath);
-  
-  if (extensions.length > 0) {
-    files = files.filter(file => 
-      extensions.some(ext => file.toLowerCase().endsWith(ext))
-    );
-  }
-
-  // Filter out hidden files
-  files = files.filter(file => !file.startsWith('.'));
-
-  if (files.length === 0) {
-    return null;
-  }
-
-  const randomIndex = Math.floor(Math.random() * files.length);
-  return path.join(dirPath, files[randomIndex]);
-}
-
-/**
- * Get random background video from assets/backgrounds
- */
-function getRandomBackground() {
-  const videoExtensions = ['.mp4', '.mov', '.avi', '.mkv', '.webm'];
-  const backgroundPath = getRandomFileFromDir(CONFIG.backgroundsDir, videoExtensions);
-  
-  if (!backgroundPath) {
-    throw new Error(`No video files found in ${CONFIG.backgroundsDir}. Please add a 16:9 gameplay video.`);
-  }
-  
-  console.log(`📹 Selected background: ${path.basename(backgroundPath)}`);
-  return backgroundPath;
+function getFlagValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
 }
 
 /**
- * Get random music track from assets/music (optional)
+ * Pick a music track from assets/music (optional)
+ * @param {Object[]} memes - Memes in the video, for theme matching
+ * @returns {string|null} Catalog key of the track, or null if there is none
  */
-function getRandomMusic() {
-  const audioExtensions = ['.mp3', '.wav', '.aac', '.m4a'];
-  const musicPath = getRandomFileFromDir(CONFIG.musicDir, audioExtensions);
-  
-  if (musicPath) {
-    console.log(`🎵 Selected music: ${path.basename(musicPath)}`);
-  }
-  
-  return musicPath;
+function getMusic(memes) {
+  return catalog.pickAsset('music', { memes });
 }
 
 /**
@@ -84,9 +47,10 @@ function getImagesFromFolder() {
     throw new Error(`Image output directory not found: ${CONFIG.imageOutputDir}\nRun fetchImages.js first.`);
   }
   
-  const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+  const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.webm'];
   const files = fs.readdirSync(CONFIG.imageOutputDir)
     .filter(file => !file.startsWith('.'))
+    .filter(file => !file.endsWith('_audio.mp4')) // Clip audio tracks, not memes
     .filter(file => imageExtensions.some(ext => file.toLowerCase().endsWith(ext)))
     .map(file => path.join(CONFIG.imageOutputDir, file));
   
@@ -125,107 +89,6 @@ function generateOutputFilename() {
   return path.join(CONFIG.outputDir, `meme_video_${timestamp}.mp4`);
 }
 
-/**
- * Create the final video using FFmpeg with two stacked memes
- */
-function createVideo(backgroundPath, memePaths, outputPath, musicPath = null) {
-  return new Promise((resolve, reject) => {
-    console.log(`\n🎬 Starting video composition...`);
-    console.log(`   Background: ${path.basename(backgroundPath)}`);
-    console.log(`   Meme 1: ${path.basename(memePaths[0])}`);
-    console.log(`   Meme 2: ${path.basename(memePaths[1])}`);
-    console.log(`   Output: ${path.basename(outputPath)}`);
-    if (musicPath) {
-      console.log(`   Music: ${path.basename(musicPath)}`);
-    }
-    
-    const { outputWidth, outputHeight } = CONFIG;
-    
-    // Build complex filter for video composition
-    // 1. Scale/crop background to output dimensions (no blur)
-    // 2. Scale both memes to fit half the screen height
-    // 3. Stack memes vertically and overlay on background
-    
-    const memeMaxWidth = 1000;
-    const memeMaxHeight = 700; // Half screen for stacking
-    
-    const complexFilter = [
-      // Process background: scale to fill, crop to exact size (no blur)
-      `[0:v]scale=${outputWidth}:${outputHeight}:force_original_aspect_ratio=increase,crop=${outputWidth}:${outputHeight}[bg]`,
-      
-      // Scale first meme to fit within bounds, pad to uniform width, add bottom padding for gap
-      `[1:v]scale=${memeMaxWidth}:${memeMaxHeight}:force_original_aspect_ratio=decrease,pad=max(iw\\,${memeMaxWidth}):ih+40:(ow-iw)/2:0:black@0[meme1]`,
-      
-      // Scale second meme to fit within bounds, pad to uniform width  
-      `[2:v]scale=${memeMaxWidth}:${memeMaxHeight}:force_original_aspect_ratio=decrease,pad=max(iw\\,${memeMaxWidth}):ih:(ow-iw)/2:0:black@0[meme2]`,
-      
-      // Stack memes vertically
-      `[meme1][meme2]vstack=inputs=2[stacked]`,
-      
-      // Overlay stacked memes on background (centered)
-      `[bg][stacked]overlay=(W-w)/2:(H-h)/2`
-    ].join(';');
-    
-    let command = ffmpeg()
-      .input(backgroundPath)
-      .input(memePaths[0])
-      .input(memePaths[1])
-      .complexFilter(complexFilter)
-      .outputOptions([
-        '-c:v', 'libx264',
-        '-preset', 'medium',
-        '-crf', '23',
-        '-pix_fmt', 'yuv420p',
-        '-t', '15', // 15 second video
-        '-r', '30', // 30fps
-      ]);
-    
-    // Handle audio: use music track or background video audio
-    if (musicPath) {
-      command
-        .input(musicPath)
-        .outputOptions([
-          '-map', '0:a',
-          '-c:a', 'aac',
-          '-b:a', '192k',
-          '-shortest'
-        ]);
-    } else {
-      // Use audio from background video
-      command.outputOptions([
-        '-map', '0:a?',
-        '-c:a', 'aac',
-        '-b:a', '192k',
-        '-shortest'
-      ]);
-    }
-    
-    command
-      .output(outputPath)
-      .on('start', (cmdline) => {
-        console.log(`\n📝 FFmpeg command started...`);
-      })
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          process.stdout.write(`\r⏳ Processing: ${Math.round(progress.percent)}%`);
-        }
-      })
-      .on('end', () => {
-        console.log(`\n\n✅ Video created successfully!`);
-        console.log(`📁 Output: ${outputPath}`);
-        resolve(outputPath);
-      })
-      .on('error', (err, stdout, stderr) => {
-        console.error(`\n❌ FFmpeg error: ${err.message}`);
-        if (stderr) {
-          console.error(`FFmpeg stderr: ${stderr}`);
-        }
-        reject(err);
-      })
-      .run();
-  });
-}
-
 /**
  * Clear images from imageOutput folder after successful video creation
  */
@@ -249,6 +112,8 @@ async function main() {
   const shouldUpload = process.argv.includes('--upload');
   const privacyStatus = process.argv.includes('--public') ? 'public' : 'private';
   const shouldClear = process.argv.includes('--clear');
+  const backgroundMode = getFlagValue('--background');
+  const outputProfiles = getFlagValue('--profiles');
   
   console.log('🎬 Meme Video Creator');
   console.log('=====================\n');
@@ -275,17 +140,34 @@ async function main() {
     // 2. Get metadata for titles (if available)
     const metadata = getMetadata();
     
-    // 3. Get random background video
-    const backgroundPath = getRandomBackground();
+    const slotMemes = memePaths.map(memePath => (metadata || []).find(m => (m.localPaths || [m.localPath]).includes(memePath)));
+    
+    // 3. Pick the background (gameplay video, blurred meme, gradient or image)
+    const background = backgroundModes.chooseBackground({ memes: slotMemes, mode: backgroundMode });
     
-    // 4. Get random music (optional)
-    const musicPath = getRandomMusic();
+    // 4. Pick music (optional)
+    const musicKey = getMusic(slotMemes);
     
     // 5. Generate output filename
     const outputPath = generateOutputFilename();
     
-    // 6. Create the video with stacked memes
-    await createVideo(backgroundPath, memePaths, outputPath, musicPath);
+    // 6. Create the video with the memes placed by the layout
+    const memeAudioPaths = slotMemes.map((meme, i) =>
+      meme && meme.audioPath && meme.localPath === memePaths[i] && fs.existsSync(meme.audioPath) ? meme.audioPath : null
+    );
+    const creditLines = slotMemes.map(meme => (meme ? attribution.formatCreditLine(attribution.toCredit(meme)) : null));
+    const titles = slotMemes.map(meme => (meme ? meme.title : null));
+    await createVideo(background, memePaths, outputPath, catalog.getAssetPath(musicKey), { memeAudioPaths, creditLines, titles, profiles: outputProfiles });
+    await thumbnail.generateThumbnail(outputPath, { memePaths, titles });
+    
+    // The background and music were used: rotate them to the back
+    catalog.markUsed([background.key, musicKey]);
+    
+    // Record who to credit (from metadata.json saved by fetchImages.js)
+    const usedMemes = slotMemes.filter((meme, i) => meme && slotMemes.indexOf(meme) === i);
+    if (usedMemes.length > 0) {
+      attribution.writeLedger(outputPath, usedMemes);
+    }
     
     console.log('\n🎉 Video creation complete!');
     
@@ -0,0 +1,164 @@
+/**
+ * Used-Post History Module
+ *
+ * Remembers every meme that made it into a video so later runs never pick
+ * the same post again. Entries are matched on post id and on a normalized
+ * image URL (the same image is often reachable through several URLs).
+ * Entries also keep the perceptual hashes of their images for repost detection.
+ *
+ * Stored in data/history.json (override with HISTORY_PATH).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_PATH = process.env.HISTORY_PATH || path.join(__dirname, 'data', 'history.json');
+
+/**
+ * Normalize an image URL so trivially different links compare equal
+ * @param {string} url - Image URL or local file path
+ * @returns {string} Normalized URL
+ */
+function normalizeImageUrl(url = '') {
+  if (!/^https?:\/\//i.test(url)) {
+    return path.resolve(url);
+  }
+
+  try {
+    const parsed = new URL(url);
+    let host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+    // preview.redd.it and external-preview serve the same image as i.redd.it
+    if (host === 'preview.redd.it') host = 'i.redd.it';
+    if (host === 'imgur.com') host = 'i.imgur.com';
+
+    return `https://${host}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return url.trim();
+  }
+}
+
+/**
+ * Load history entries from disk
+ * @returns {Object[]} Entries, oldest first
+ */
+function loadHistory() {
+  if (!fs.existsSync(HISTORY_PATH)) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf-8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch (error) {
+    console.log(`⚠️ Could not read history file: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Write history entries to disk
+ * @param {Object[]} entries - Entries to save
+ */
+function saveHistory(entries) {
+  fs.mkdirSync(path.dirname(HISTORY_PATH), { recursive: true });
+  fs.writeFileSync(HISTORY_PATH, JSON.stringify({ version: 1, entries }, null, 2));
+}
+
+/**
+ * Build a lookup function over a set of entries
+ */
+function buildChecker(entries) {
+  const ids = new Set(entries.map(entry => entry.id).filter(Boolean));
+  const urls = new Set(entries.map(entry => entry.url).filter(Boolean));
+
+  return candidate => ids.has(candidate.id) || urls.has(normalizeImageUrl(candidate.url));
+}
+
+/**
+ * Build a lookup function over the current history (loads the file once)
+ * @returns {function(Object): boolean} Returns true if a candidate was already used
+ */
+function createUsedChecker() {
+  return buildChecker(loadHistory());
+}
+
+/**
+ * Get one { hash, title, ... } record per known image hash
+ * @returns {Object[]} Hash index for phash.findNearDuplicate()
+ */
+function getHashIndex() {
+  return loadHistory().flatMap(entry =>
+    // Older entries stored a single "hash"
+    (entry.hashes || [entry.hash]).filter(Boolean).map(hash => ({ ...entry, hash }))
+  );
+}
+
+/**
+ * Record memes as used
+ * @param {Object[]} memes - Memes that went into a video
+ * @param {Object} [details] - Extra fields stored on each entry (e.g. { videoPath })
+ */
+function markUsed(memes, details = {}) {
+  const entries = loadHistory();
+  const isKnown = buildChecker(entries);
+
+  const usedAt = new Date().toISOString();
+  memes
+    .filter(meme => !isKnown(meme))
+    .forEach(meme => {
+      entries.push({
+        id: meme.id || null,
+        url: normalizeImageUrl(meme.url),
+        title: meme.title,
+        source: meme.source,
+        author: meme.author || null,
+        permalink: meme.permalink || null,
+        rank: meme.rank || null,
+        hashes: meme.hashes || [],
+        usedAt,
+        ...details,
+      });
+    });
+
+  saveHistory(entries);
+}
+
+/**
+ * Remove entries older than a number of days
+ * @param {number} days - Maximum age to keep
+ * @returns {number} Number of removed entries
+ */
+function pruneOlderThan(days) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const entries = loadHistory();
+  const kept = entries.filter(entry => new Date(entry.usedAt).getTime() >= cutoff);
+
+  saveHistory(kept);
+  return entries.length - kept.length;
+}
+
+/**
+ * Forget entries matching a post id or image URL
+ * @param {string} idOrUrl - Post id or image URL
+ * @returns {number} Number of removed entries
+ */
+function forget(idOrUrl) {
+  const url = normalizeImageUrl(idOrUrl);
+  const entries = loadHistory();
+  const kept = entries.filter(entry => entry.id !== idOrUrl && entry.url !== url);
+
+  saveHistory(kept);
+  return entries.length - kept.length;
+}
+
+module.exports = {
+  HISTORY_PATH,
+  normalizeImageUrl,
+  loadHistory,
+  createUsedChecker,
+  getHashIndex,
+  markUsed,
+  pruneOlderThan,
+  forget,
+};
@@ -0,0 +1,227 @@
+/**
+ * HTTP Module
+ *
+ * Shared HTTP layer for every fetch path (source listings, feeds, image and
+ * clip downloads). Wraps axios with:
+ *   - a per-host concurrency limit
+ *   - retries with exponential backoff and full jitter on network errors,
+ *     timeouts, 408, 429 and 5xx responses
+ *   - Retry-After and x-ratelimit-remaining/x-ratelimit-reset handling; a
+ *     rate-limited host is paused for every caller, not just the one that hit it
+ *   - a default timeout
+ *
+ * Defaults come from .env and can be overridden per client, which is how the
+ * layer is pointed at a local mock server with short delays:
+ *   HTTP_TIMEOUT_MS=15000           Request timeout for listings and feeds
+ *   HTTP_DOWNLOAD_TIMEOUT_MS=60000  Request timeout for image/clip downloads
+ *   HTTP_RETRIES=3                  Retries after the first attempt
+ *   HTTP_BACKOFF_MS=500             Base backoff delay (doubles per retry)
+ *   HTTP_MAX_BACKOFF_MS=30000       Backoff cap
+ *   HTTP_MAX_WAIT_MS=60000          Longest Retry-After/rate-limit wait honoured before giving up
+ *   HTTP_MAX_PER_HOST=2             Concurrent requests per host
+ */
+
+const axios = require('axios');
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Read an integer setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value or fallback
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: envInt('HTTP_TIMEOUT_MS', 15000),
+  downloadTimeoutMs: envInt('HTTP_DOWNLOAD_TIMEOUT_MS', 60000),
+  retries: envInt('HTTP_RETRIES', 3),
+  backoffMs: envInt('HTTP_BACKOFF_MS', 500),
+  maxBackoffMs: envInt('HTTP_MAX_BACKOFF_MS', 30000),
+  maxWaitMs: envInt('HTTP_MAX_WAIT_MS', 60000),
+  maxPerHost: envInt('HTTP_MAX_PER_HOST', 2),
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (delta seconds or an HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Work out how long a host asked us to wait, from Retry-After or Reddit's
+ * x-ratelimit-* headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if the host set no limit
+ */
+function getRateLimitDelay(headers = {}) {
+  const retryAfter = parseRetryAfter(headers['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const remaining = parseFloat(headers['x-ratelimit-remaining']);
+  const reset = parseFloat(headers['x-ratelimit-reset']);
+  if (Number.isFinite(remaining) && remaining < 1 && Number.isFinite(reset)) {
+    return Math.max(0, reset * 1000);
+  }
+  return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - Client options (backoffMs, maxBackoffMs)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, options) {
+  const ceiling = Math.min(options.maxBackoffMs, options.backoffMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts and retryable statuses
+ */
+function isRetryable(error) {
+  if (!error.response) {
+    return error.code !== 'ERR_CANCELED' && error.code !== 'ERR_INVALID_URL';
+  }
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+/**
+ * Create an HTTP client with its own host limits and settings
+ * @param {Object} overrides - Options overriding DEFAULT_OPTIONS
+ * @returns {Object} { request, get, options }
+ */
+function createHttpClient(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  // Per-host state: active request count, waiting callers, and rate-limit pause
+  const hosts = new Map();
+
+  const getHost = hostname => {
+    if (!hosts.has(hostname)) {
+      hosts.set(hostname, { active: 0, queue: [], pausedUntil: 0 });
+    }
+    return hosts.get(hostname);
+  };
+
+  const acquire = async host => {
+    if (host.active >= options.maxPerHost) {
+      await new Promise(resolve => host.queue.push(resolve));
+    }
+    host.active++;
+  };
+
+  const release = host => {
+    host.active--;
+    const next = host.queue.shift();
+    if (next) {
+      next();
+    }
+  };
+
+  const pauseHost = (host, delay) => {
+    host.pausedUntil = Math.max(host.pausedUntil, Date.now() + delay);
+  };
+
+  /**
+   * Perform a request with retries
+   * @param {Object} config - Axios request config (url required)
+   * @returns {Promise<Object>} Axios response
+   */
+  async function request(config) {
+    const { hostname } = new URL(config.url);
+    const host = getHost(hostname);
+
+    for (let attempt = 0; ; attempt++) {
+      await acquire(host);
+      let response;
+      let failure;
+      try {
+        const wait = host.pausedUntil - Date.now();
+        if (wait > 0) {
+          await sleep(wait);
+        }
+        response = await axios.request({ timeout: options.timeoutMs, ...config });
+      } catch (error) {
+        failure = error;
+      } finally {
+        release(host);
+      }
+
+      if (response) {
+        // Out of quota: make the next request to this host wait for the reset
+        const limitDelay = getRateLimitDelay(response.headers);
+        if (limitDelay !== null && limitDelay > 0) {
+          pauseHost(host, Math.min(limitDelay, options.maxWaitMs));
+        }
+        return response;
+      }
+
+      if (!isRetryable(failure) || attempt >= options.retries) {
+        if (attempt > 0) {
+          failure.message = `${failure.message} (after ${attempt + 1} attempts)`;
+        }
+        throw failure;
+      }
+
+      const what = failure.response ? `HTTP ${failure.response.status}` : failure.code || failure.message;
+      const limitDelay = failure.response ? getRateLimitDelay(failure.response.headers) : null;
+      if (limitDelay !== null && limitDelay > options.maxWaitMs) {
+        failure.message = `${failure.message} (${hostname} asked to wait ${Math.ceil(limitDelay / 1000)}s)`;
+        throw failure;
+      }
+
+      const delay = limitDelay !== null ? limitDelay : getBackoffDelay(attempt + 1, options);
+      if (limitDelay !== null) {
+        pauseHost(host, delay);
+      }
+      console.log(`   🔁 ${hostname}: ${what}, retry ${attempt + 1}/${options.retries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * GET a URL with retries
+   * @param {string} url - URL
+   * @param {Object} config - Extra axios config (headers, responseType, timeout, ...)
+   * @returns {Promise<Object>} Axios response
+   */
+  function get(url, config = {}) {
+    return request({ ...config, method: 'get', url });
+  }
+
+  return { request, get, options };
+}
+
+// Shared client used by sources.js and memeFetcher.js
+const defaultClient = createHttpClient();
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createHttpClient,
+  parseRetryAfter,
+  getRateLimitDelay,
+  request: defaultClient.request,
+  get: defaultClient.get,
+};
@@ -0,0 +1,274 @@
+/**
+ * Layout Templates Module
+ *
+ * Loads the layout templates in config/layouts.json (override with
+ * LAYOUTS_CONFIG). A template places memes on the 9:16 canvas; the renderer
+ * turns it into the FFmpeg filter graph. Select one with LAYOUT (default: the
+ * file's "default").
+ *
+ * All positions and sizes are fractions of the output resolution (0-1), so a
+ * template works at any OUTPUT_WIDTH/OUTPUT_HEIGHT:
+ *
+ *   "stack2": {
+ *     "slots": [
+ *       { "box": { "x": 0.037, "y": 0.125, "width": 0.926, "height": 0.3646 }, "anchor": "bottom" },
+ *       { "box": { "x": 0.037, "y": 0.5104, "width": 0.926, "height": 0.3646 }, "anchor": "top" }
+ *     ]
+ *   }
+ *
+ * Each meme is scaled to fit its slot's box, keeping its aspect ratio, and
+ * placed inside the box at the anchor (center, top, bottom, left, right,
+ * top-left, top-right, bottom-left, bottom-right). An optional "banner" draws
+ * a filled box with text; "{title}" is replaced by the title of the meme in
+ * the banner's "slot" (default: 0). A slot's optional "motion" object sets
+ * its zoom, entrance and bob/shake (see motion.js).
+ *
+ * Templates are drawn for 9:16. For other output profiles (see profiles.js) a
+ * template can list variants by aspect ratio, each with its own slots and
+ * optional banner; the variant closest to the output's shape is used:
+ *
+ *   "aspects": { "1:1": { "slots": [ ... ] } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkMotion } = require('./motion');
+
+const LAYOUTS_CONFIG_PATH = process.env.LAYOUTS_CONFIG || path.join(__dirname, 'config', 'layouts.json');
+
+// Anchor name → position of the meme inside its box (0 = left/top, 1 = right/bottom)
+const ANCHORS = {
+  'center': { x: 0.5, y: 0.5 },
+  'top': { x: 0.5, y: 0 },
+  'bottom': { x: 0.5, y: 1 },
+  'left': { x: 0, y: 0.5 },
+  'right': { x: 1, y: 0.5 },
+  'top-left': { x: 0, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  'bottom-left': { x: 0, y: 1 },
+  'bottom-right': { x: 1, y: 1 },
+};
+
+// Shape the base templates are drawn for (width / height)
+const BASE_ASPECT = 9 / 16;
+
+let cachedConfig = null;
+
+/**
+ * Collect problems with a box
+ * @param {Object} box - { x, y, width, height } as fractions
+ * @param {string} where - Location used in messages
+ * @returns {string[]} Problems found
+ */
+function checkBox(box, where) {
+  if (!box || typeof box !== 'object') {
+    return [`${where}: "box" must be an object with x, y, width and height`];
+  }
+
+  const problems = [];
+  ['x', 'y', 'width', 'height'].forEach(key => {
+    if (typeof box[key] !== 'number' || box[key] < 0 || box[key] > 1) {
+      problems.push(`${where}: box.${key} must be a number from 0 to 1`);
+    }
+  });
+  if (problems.length === 0) {
+    if (box.width === 0 || box.height === 0) problems.push(`${where}: box is empty`);
+    if (box.x + box.width > 1.0001) problems.push(`${where}: box extends past the right edge`);
+    if (box.y + box.height > 1.0001) problems.push(`${where}: box extends past the bottom edge`);
+  }
+  return problems;
+}
+
+/**
+ * Validate one layout template
+ * @param {Object} layout - Template
+ * @param {string} name - Layout name used in messages
+ * @returns {string[]} Problems found
+ */
+function checkLayout(layout, name) {
+  const where = `layouts.${name}`;
+  if (!layout || !Array.isArray(layout.slots) || layout.slots.length === 0) {
+    return [`${where}: needs a non-empty "slots" array`];
+  }
+
+  const problems = [];
+  layout.slots.forEach((slot, i) => {
+    problems.push(...checkBox(slot && slot.box, `${where}.slots[${i}]`));
+    if (slot && slot.anchor !== undefined && !ANCHORS[slot.anchor]) {
+      problems.push(`${where}.slots[${i}]: anchor must be one of ${Object.keys(ANCHORS).join(', ')}`);
+    }
+    if (slot && slot.motion !== undefined) {
+      problems.push(...checkMotion(slot.motion, `${where}.slots[${i}]`));
+    }
+  });
+
+  if (layout.aspects !== undefined) {
+    if (!layout.aspects || typeof layout.aspects !== 'object') {
+      problems.push(`${where}: "aspects" must map aspect ratios to layout variants`);
+    } else {
+      Object.entries(layout.aspects).forEach(([aspect, variant]) => {
+        if (!parseAspect(aspect)) {
+          problems.push(`${where}.aspects: "${aspect}" is not an aspect ratio like "1:1" or "4:5"`);
+          return;
+        }
+        problems.push(...checkLayout({ ...variant, aspects: undefined }, `${name}.aspects.${aspect}`));
+        if (variant && Array.isArray(variant.slots) && variant.slots.length !== layout.slots.length) {
+          problems.push(`${where}.aspects.${aspect}: needs the same number of slots as the layout (${layout.slots.length})`);
+        }
+      });
+    }
+  }
+
+  if (layout.banner !== undefined) {
+    problems.push(...checkBox(layout.banner.box, `${where}.banner`));
+    const { slot = 0, fontSize = 0.03 } = layout.banner;
+    if (!Number.isInteger(slot) || slot < 0 || slot >= layout.slots.length) {
+      problems.push(`${where}.banner: "slot" must be the index of one of the layout's slots`);
+    }
+    if (typeof fontSize !== 'number' || fontSize <= 0 || fontSize > 0.2) {
+      problems.push(`${where}.banner: "fontSize" must be a fraction of the output height (0-0.2)`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Parse an aspect ratio
+ * @param {string} aspect - e.g. "4:5"
+ * @returns {number|null} Width / height, or null if invalid
+ */
+function parseAspect(aspect) {
+  const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(aspect);
+  if (!match || parseFloat(match[1]) === 0 || parseFloat(match[2]) === 0) {
+    return null;
+  }
+  return parseFloat(match[1]) / parseFloat(match[2]);
+}
+
+/**
+ * Validate a parsed layouts config
+ * @param {Object} config - Parsed config
+ * @param {string} where - File name used in messages
+ * @throws {Error} Listing every problem
+ */
+function validateLayouts(config, where = LAYOUTS_CONFIG_PATH) {
+  if (!config || typeof config.layouts !== 'object' || config.layouts === null) {
+    throw new Error(`Invalid layouts config ${where}: expected an object with a "layouts" map`);
+  }
+
+  const problems = [];
+  Object.entries(config.layouts).forEach(([name, layout]) => {
+    problems.push(...checkLayout(layout, name));
+  });
+  if (config.default !== undefined && !config.layouts[config.default]) {
+    problems.push(`default: no layout named "${config.default}"`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid layouts config ${where}:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Load and validate config/layouts.json (cached)
+ * @returns {Object} { default, layouts }
+ */
+function loadLayouts() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+  if (!fs.existsSync(LAYOUTS_CONFIG_PATH)) {
+    throw new Error(`Missing layouts config: ${LAYOUTS_CONFIG_PATH}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(LAYOUTS_CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${LAYOUTS_CONFIG_PATH}: ${error.message}`);
+  }
+
+  validateLayouts(config);
+  cachedConfig = config;
+  return cachedConfig;
+}
+
+/**
+ * Get a layout template by name
+ * @param {string} name - Layout name (default: LAYOUT env, then the config's default)
+ * @returns {Object} Template with its name
+ */
+function getLayout(name = process.env.LAYOUT) {
+  const config = loadLayouts();
+  const layoutName = name || config.default || 'stack2';
+  const layout = config.layouts[layoutName];
+  if (!layout) {
+    throw new Error(`Unknown layout "${layoutName}" (available: ${Object.keys(config.layouts).join(', ')})`);
+  }
+  return { name: layoutName, ...layout };
+}
+
+/**
+ * Adapt a layout to an output shape: use the aspect variant closest to it
+ * @param {Object} layout - Template from getLayout()
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Object} Template with the variant's slots and banner
+ */
+function forCanvas(layout, width, height) {
+  if (!layout.aspects) {
+    return layout;
+  }
+
+  // Compare shapes on a log scale, so 1:2 and 2:1 are equally far from 1:1
+  const distance = ratio => Math.abs(Math.log(ratio / (width / height)));
+  let best = { aspect: null, distance: distance(BASE_ASPECT) };
+  Object.keys(layout.aspects).forEach(aspect => {
+    const candidate = distance(parseAspect(aspect));
+    if (candidate < best.distance) best = { aspect, distance: candidate };
+  });
+
+  if (!best.aspect) {
+    return layout;
+  }
+  const variant = layout.aspects[best.aspect];
+  return { ...layout, slots: variant.slots, banner: variant.banner || layout.banner, aspect: best.aspect };
+}
+
+/**
+ * Convert a fractional box to whole (even) pixels
+ * @param {Object} box - { x, y, width, height } as fractions
+ * @param {number} outputWidth - Output width in pixels
+ * @param {number} outputHeight - Output height in pixels
+ * @returns {Object} { x, y, width, height } in pixels
+ */
+function resolveBox(box, outputWidth, outputHeight) {
+  const even = value => Math.max(2, Math.round(value / 2) * 2);
+  return {
+    x: Math.round(box.x * outputWidth),
+    y: Math.round(box.y * outputHeight),
+    width: even(box.width * outputWidth),
+    height: even(box.height * outputHeight),
+  };
+}
+
+/**
+ * Get the anchor position of a slot
+ * @param {Object} slot - Layout slot
+ * @returns {Object} { x, y } fractions
+ */
+function getAnchor(slot) {
+  return ANCHORS[slot.anchor || 'center'];
+}
+
+module.exports = {
+  LAYOUTS_CONFIG_PATH,
+  ANCHORS,
+  validateLayouts,
+  loadLayouts,
+  getLayout,
+  forCanvas,
+  resolveBox,
+  getAnchor,
+};
@@ -0,0 +1,444 @@
+/**
+ * Meme Fetcher Module
+ *
+ * Shared fetch pipeline used by index.js, fetchImages.js and scheduler.js:
+ * pick weighted random sources from config/sources.json, ask their adapters
+ * for candidates, and download the chosen images with validation, a quality
+ * gate and repost detection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const http = require('./http');
+const { normalizeEntry, loadSourceConfig } = require('./sourceConfig');
+const history = require('./history');
+const phash = require('./phash');
+const quality = require('./quality');
+const safety = require('./safety');
+const ranking = require('./ranking');
+const attribution = require('./attribution');
+
+// How many sources have their candidates fetched in parallel
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY) || 3;
+
+// Gallery "together" mode: how many images are stacked and how wide the stack is
+const MAX_STACKED_IMAGES = 3;
+const STACK_WIDTH = 1000;
+
+/**
+ * Pick a random entry, weighted by each entry's "weight"
+ * @param {Object[]} entries - Normalized source entries
+ * @returns {Object|null} Picked entry, or null if all weights are zero
+ */
+function pickWeighted(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  if (total <= 0) {
+    return null;
+  }
+
+  let roll = Math.random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll < 0) {
+      return entry;
+    }
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Fetch a random top image candidate from a single source
+ * @param {string|Object} entry - Source config entry (see sourceConfig.js), normalized or raw
+ * @param {Object} options - Fetch options
+ * @param {function(Object): boolean} options.isUsed - Returns true for posts that must be skipped
+ * @param {Promise<Object[]>} options.prefetched - Candidates already being fetched for this source
+ * @param {function(Object): Promise<Object|null>} options.accept - Optional check run on each pick;
+ *   returns the (possibly enriched) meme, or null/throws to reject it and try the next candidate
+ * @returns {Promise<Object|null>} Meme or null if nothing usable was found
+ */
+async function fetchMemeFromSource(entry, options = {}) {
+  const { isUsed = history.createUsedChecker(), accept = null, prefetched = null } = options;
+
+  let settings;
+  try {
+    settings = entry.adapter ? entry : normalizeEntry(entry);
+  } catch (error) {
+    console.log(`   ⚠️ Skipping source: ${error.message}`);
+    return null;
+  }
+  const source = settings.adapter;
+
+  console.log(`🌐 Fetching from ${source.label}...`);
+
+  let allCandidates;
+  try {
+    allCandidates = await (prefetched || source.fetchCandidates());
+  } catch (error) {
+    console.log(`   ⚠️ Failed to fetch from ${source.label}: ${error.message}`);
+    return null;
+  }
+
+  if (allCandidates.length === 0) {
+    console.log(`   ⚠️ No image posts found in ${source.label}`);
+    return null;
+  }
+
+  // Skip posts that already went into a video
+  const unusedCandidates = allCandidates.filter(candidate => !isUsed(candidate));
+  const skipped = allCandidates.length - unusedCandidates.length;
+  if (skipped > 0) {
+    console.log(`   ⏭️  Skipped ${skipped} already-used post(s)`);
+  }
+
+  // Drop NSFW, spoiler, removed and blocklisted posts (each rejection is logged)
+  const safeCandidates = safety.filterCandidates(unusedCandidates, source.label);
+
+  // Apply the source's score thresholds
+  const candidates = safeCandidates.filter(candidate =>
+    (candidate.score || 0) >= settings.minScore &&
+    (candidate.upvoteRatio === undefined || candidate.upvoteRatio >= settings.minUpvoteRatio)
+  );
+  const belowThreshold = safeCandidates.length - candidates.length;
+  if (belowThreshold > 0) {
+    console.log(`   ⏭️  Skipped ${belowThreshold} post(s) below score/upvote thresholds`);
+  }
+
+  // Rank by engagement; the rank record stays on the meme for auditing
+  const ranked = ranking.rankCandidates(candidates);
+  ranked.slice(0, settings.sampleTop).forEach(candidate => {
+    console.log(`   📊 ${ranking.describeRank(candidate)} "${candidate.title.substring(0, 30)}"`);
+  });
+
+  while (ranked.length > 0) {
+    // Softmax pick among the "sampleTop" best-ranked posts
+    const [meme] = ranked.splice(ranking.pickIndex(ranked, settings.sampleTop), 1);
+
+    console.log(`📷 Found: "${meme.title.substring(0, 40)}..." (rank #${meme.rank.position})`);
+
+    if (!accept) {
+      return meme;
+    }
+
+    try {
+      const accepted = await accept(meme);
+      if (accepted) {
+        return accepted;
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Rejected: ${error.message}`);
+    }
+  }
+
+  console.log(`   ⚠️ No usable image posts left in ${source.label}`);
+  return null;
+}
+
+/**
+ * Fetch memes from random sources until every slot is filled
+ * @param {number} count - Number of image slots to fill
+ * @param {Object} options - Fetch options
+ * @param {Array<string|Object>} options.sources - Source entries to pick from (default: config/sources.json)
+ * @param {function(Object, number, number): Promise<Object|null>} options.accept - Per-pick check
+ *   (see fetchMemeFromSource), called with the meme, the first slot index it would fill and the
+ *   number of free slots. An accepted meme may set `slots` when it fills more than one (galleries).
+ * @returns {Promise<Object[]>} Memes, one per source
+ */
+async function fetchMemes(count = 2, options = {}) {
+  const { accept = null } = options;
+  const sources = (options.sources || loadSourceConfig()).map(entry => (entry.adapter ? entry : normalizeEntry(entry)));
+  const memes = [];
+  const triedSources = new Set();
+  const usedBefore = history.createUsedChecker();
+  const isUsed = candidate => usedBefore(candidate) || memes.some(meme => meme.id === candidate.id);
+  const filledSlots = () => memes.reduce((total, meme) => total + (meme.slots || 1), 0);
+
+  while (filledSlots() < count && triedSources.size < sources.length) {
+    // Pick a batch of weighted random sources we haven't tried yet, one per
+    // missing slot (up to FETCH_CONCURRENCY), and fetch their listings in parallel
+    const batch = [];
+    const batchSize = Math.min(FETCH_CONCURRENCY, count - filledSlots());
+    while (batch.length < batchSize) {
+      const source = pickWeighted(sources.filter(s => !triedSources.has(s)));
+      if (!source) {
+        break; // Only zero-weight (disabled) sources left
+      }
+      triedSources.add(source);
+
+      // Failures are logged by fetchMemeFromSource when it awaits the listing
+      const prefetched = source.adapter.fetchCandidates();
+      prefetched.catch(() => {});
+      batch.push({ source, prefetched });
+    }
+    if (batch.length === 0) {
+      break;
+    }
+
+    // Candidates are picked sequentially so slots are filled in order
+    for (const { source, prefetched } of batch) {
+      if (filledSlots() >= count) {
+        continue;
+      }
+      const meme = await fetchMemeFromSource(source, {
+        isUsed,
+        prefetched,
+        accept: accept && (candidate => accept(candidate, filledSlots(), count - filledSlots())),
+      });
+      if (meme) {
+        memes.push(meme);
+      }
+    }
+  }
+
+  if (filledSlots() < count) {
+    throw new Error(`Could only find ${filledSlots()} memes, needed ${count}`);
+  }
+
+  return memes;
+}
+
+/**
+ * Stack images vertically into a single image (gallery "together" mode)
+ * @param {string[]} imagePaths - Images in display order
+ * @param {string} outputPath - Output PNG path
+ * @returns {Promise<string>} Output path
+ */
+function stackImages(imagePaths, outputPath) {
+  return new Promise((resolve, reject) => {
+    const scaled = imagePaths.map((_, i) => `[${i}:v]scale=${STACK_WIDTH}:-2,setsar=1[s${i}]`);
+    const labels = imagePaths.map((_, i) => `[s${i}]`).join('');
+    const command = ffmpeg();
+
+    imagePaths.forEach(imagePath => command.input(imagePath));
+    command
+      .complexFilter([...scaled, `${labels}vstack=inputs=${imagePaths.length}`].join(';'))
+      .outputOptions(['-frames:v', '1'])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * Fetch memes and download them, rejecting files that fail the quality gate
+ * (see quality.js) and reposts of memes already used (or already picked for
+ * this video) by perceptual hash. A rejected post falls back to the next candidate.
+ *
+ * Gallery posts are expanded into their images. In "split" mode a gallery fills
+ * as many of the remaining slots as it has images; in "together" mode its first
+ * few images are stacked into a single slot.
+ *
+ * @param {number} count - Number of image slots to fill
+ * @param {Object} options - Options
+ * @param {string} options.dir - Directory to download into
+ * @param {function(Object, number): string} options.fileName - File name for a meme in a slot
+ * @param {Array<string|Object>} options.sources - Source entries to pick from (default: config/sources.json)
+ * @param {string} options.galleryMode - 'split' or 'together' (default: GALLERY_MODE env or 'split')
+ * @param {boolean} options.clipAudio - Also download the audio track of video clips (default: CLIP_AUDIO env)
+ * @returns {Promise<Object[]>} Memes with localPath, localPaths (one per slot), hashes and,
+ *   for clips with audio, audioPath
+ */
+async function fetchAndDownloadMemes(count, options = {}) {
+  const {
+    dir,
+    fileName = (meme, index) => `meme${index + 1}.jpg`,
+    sources,
+    galleryMode = process.env.GALLERY_MODE || 'split',
+    clipAudio = process.env.CLIP_AUDIO === 'true',
+  } = options;
+  const hashIndex = history.getHashIndex();
+  const picked = [];
+
+  const accept = async (meme, slotIndex, freeSlots) => {
+    const urls = meme.images || [meme.url];
+    const together = galleryMode === 'together' && urls.length > 1;
+    const take = together ? Math.min(urls.length, MAX_STACKED_IMAGES) : Math.min(urls.length, freeSlots);
+    const baseName = index => fileName(meme, index).replace(/\.[^.]+$/, '');
+    const downloaded = [];
+    const hashes = [];
+    let audioPath = null;
+    // This unit's images count as "in this video" for each other, but only
+    // join `picked` once the whole unit is accepted
+    const ownEntries = () => hashes.map(hash => ({ hash, title: meme.title, inThisVideo: true }));
+
+    if (urls.length > 1) {
+      console.log(`   🖼️  Gallery with ${urls.length} images, using ${take} (${together ? 'stacked' : 'split across slots'})`);
+    }
+
+    try {
+      for (let k = 0; k < take; k++) {
+        const name = together ? `${baseName(slotIndex)}_part${k + 1}` : baseName(slotIndex + k);
+        const extension = path.extname(urls[k].split('?')[0]) || '.jpg';
+        const localPath = await downloadImage(urls[k], path.join(dir, name + extension));
+        downloaded.push(localPath);
+
+        // Reject thumbnails, panoramas and oversized files before hashing
+        await quality.assertQuality(localPath);
+
+        let hash = null;
+        try {
+          hash = await phash.computeHash(localPath);
+        } catch (error) {
+          console.log(`   ⚠️ Could not hash image, skipping repost check: ${error.message}`);
+        }
+
+        if (hash) {
+          const match = phash.findNearDuplicate(hash, [...hashIndex, ...picked, ...ownEntries()]);
+          if (match) {
+            const what = match.entry.inThisVideo ? 'another meme in this video' : `"${(match.entry.title || '').substring(0, 40)}"`;
+            throw new Error(`Repost of ${what} (distance ${match.distance})`);
+          }
+          hashes.push(hash);
+        }
+      }
+
+      if (together) {
+        const stackedPath = await stackImages(downloaded, path.join(dir, `${baseName(slotIndex)}.png`));
+        downloaded.forEach(file => fs.unlinkSync(file));
+        downloaded.splice(0, downloaded.length, stackedPath);
+      }
+
+      // v.redd.it clips keep their sound in a separate DASH track
+      if (clipAudio && meme.audioUrls) {
+        audioPath = await downloadClipAudio(meme.audioUrls, path.join(dir, `${baseName(slotIndex)}_audio.mp4`));
+      }
+    } catch (error) {
+      [...downloaded, audioPath].filter(file => file && fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+      throw error;
+    }
+
+    picked.push(...ownEntries());
+
+    return {
+      ...meme,
+      fetchedAt: new Date().toISOString(),
+      localPath: downloaded[0],
+      localPaths: downloaded,
+      hashes,
+      slots: downloaded.length,
+      audioPath,
+    };
+  };
+
+  return fetchMemes(count, { sources, accept });
+}
+
+/**
+ * Flatten downloaded memes into per-slot files for the renderer
+ * @param {Object[]} memes - Memes returned by fetchAndDownloadMemes()
+ * @returns {Object} { memePaths, memeAudioPaths, creditLines, titles } aligned by slot
+ */
+function getSlotFiles(memes) {
+  return {
+    memePaths: memes.flatMap(meme => meme.localPaths),
+    memeAudioPaths: memes.flatMap(meme => meme.localPaths.map((_, k) => (k === 0 && meme.audioPath) || null)),
+    creditLines: memes.flatMap(meme => meme.localPaths.map(() => attribution.formatCreditLine(attribution.toCredit(meme)))),
+    titles: memes.flatMap(meme => meme.localPaths.map(() => meme.title)),
+  };
+}
+
+/**
+ * Download image or clip from URL (or copy from a local path) with validation
+ * @param {string} url - Remote image/clip URL or local file path
+ * @param {string} outputPath - Desired output path (extension is corrected)
+ * @returns {Promise<string>} Path the file was saved to
+ */
+async function downloadImage(url, outputPath) {
+  let buffer;
+
+  if (/^https?:\/\//i.test(url)) {
+    console.log(`⬇️  Downloading meme image...`);
+
+    const response = await http.get(url, {
+      responseType: 'arraybuffer',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+      },
+      timeout: http.DEFAULT_OPTIONS.downloadTimeoutMs,
+      maxRedirects: 5,
+    });
+
+    buffer = Buffer.from(response.data);
+  } else {
+    console.log(`📂 Copying curated meme image...`);
+    buffer = fs.readFileSync(url);
+  }
+
+  // Validate image signature (magic bytes)
+  const isJPEG = buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF;
+  const isPNG = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47;
+  const isGIF = buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46;
+  const isWEBP = buffer[8] === 0x57 && buffer[9] === 0x45 && buffer[10] === 0x42 && buffer[11] === 0x50;
+  const isMP4 = buffer.slice(4, 8).toString('ascii') === 'ftyp';
+  const isWEBM = buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3;
+
+  if (!isJPEG && !isPNG && !isGIF && !isWEBP && !isMP4 && !isWEBM) {
+    // Check if it's HTML (error page)
+    const preview = buffer.slice(0, 100).toString('utf-8').toLowerCase();
+    if (preview.includes('<html') || preview.includes('<!doctype')) {
+      throw new Error('Downloaded HTML instead of image (possible 403/404 error)');
+    }
+    throw new Error(`Invalid media format (not JPEG/PNG/GIF/WEBP/MP4/WEBM)`);
+  }
+
+  // Fix extension if needed
+  let correctedPath = outputPath;
+  if (isJPEG && !outputPath.toLowerCase().endsWith('.jpg') && !outputPath.toLowerCase().endsWith('.jpeg')) {
+    correctedPath = outputPath.replace(/\.[^.]+$/, '.jpg');
+  } else if (isPNG && !outputPath.toLowerCase().endsWith('.png')) {
+    correctedPath = outputPath.replace(/\.[^.]+$/, '.png');
+  } else if (isGIF && !outputPath.toLowerCase().endsWith('.gif')) {
+    correctedPath = outputPath.replace(/\.[^.]+$/, '.gif');
+  } else if (isMP4 && !outputPath.toLowerCase().endsWith('.mp4')) {
+    correctedPath = outputPath.replace(/\.[^.]+$/, '.mp4');
+  } else if (isWEBM && !outputPath.toLowerCase().endsWith('.webm')) {
+    correctedPath = outputPath.replace(/\.[^.]+$/, '.webm');
+  }
+
+  fs.writeFileSync(correctedPath, buffer);
+  console.log(`✅ Image saved to: ${correctedPath}`);
+
+  return correctedPath;
+}
+
+/**
+ * Download the separate audio track of a clip, trying each known URL in turn
+ * @param {string[]} audioUrls - Candidate audio URLs, best first
+ * @param {string} outputPath - Output path
+ * @returns {Promise<string|null>} Saved path, or null if no track could be fetched
+ */
+async function downloadClipAudio(audioUrls, outputPath) {
+  for (const url of audioUrls) {
+    try {
+      const response = await http.get(url, {
+        responseType: 'arraybuffer',
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+        },
+        timeout: http.DEFAULT_OPTIONS.downloadTimeoutMs,
+      });
+
+      const buffer = Buffer.from(response.data);
+      if (buffer.slice(4, 8).toString('ascii') === 'ftyp') {
+        fs.writeFileSync(outputPath, buffer);
+        console.log(`🔊 Clip audio saved to: ${outputPath}`);
+        return outputPath;
+      }
+    } catch (error) {
+      // Older posts use a different track name; try the next one
+    }
+  }
+
+  console.log(`   ⚠️ No audio track found for clip, using it silently`);
+  return null;
+}
+
+module.exports = {
+  fetchMemeFromSource,
+  fetchMemes,
+  fetchAndDownloadMemes,
+  getSlotFiles,
+  downloadImage,
+  downloadClipAudio,
+};
@@ -0,0 +1,274 @@
+/**
+ * Motion Module
+ *
+ * Optional movement for memes, so static images don't sit completely still:
+ *   effect    Ken Burns motion on still images: zoom-in, zoom-out, pan-left, pan-right
+ *   entrance  How a meme appears: pop (scale in), slide-left, slide-right, slide-up, fade
+ *   preset    Subtle movement for the whole video: bob, shake
+ *
+ * Defaults come from MOTION_EFFECT, MOTION_ENTRANCE and MOTION_PRESET (all
+ * "none"); a layout slot can override them with a "motion" object:
+ *
+ *   { "box": { ... }, "anchor": "top", "motion": { "effect": "zoom-in", "entrance": "slide-left", "delay": 0.3 } }
+ *
+ * "random" picks a value per meme. Random picks and the phase of bob/shake
+ * come from a seeded generator, as do the renderer's random transitions: the
+ * seed is logged with every render and MOTION_SEED=<seed> reproduces it.
+ *
+ * Zoom effects use zoompan on the meme padded to its slot's box; entrances
+ * and presets move the meme through the overlay position.
+ */
+
+const EFFECTS = ['none', 'zoom-in', 'zoom-out', 'pan-left', 'pan-right'];
+const ENTRANCES = ['none', 'pop', 'slide-left', 'slide-right', 'slide-up', 'fade'];
+const PRESETS = ['none', 'bob', 'shake'];
+
+const MOTION_CONFIG = {
+  effect: process.env.MOTION_EFFECT || 'none',
+  entrance: process.env.MOTION_ENTRANCE || 'none',
+  preset: process.env.MOTION_PRESET || 'none',
+  seed: process.env.MOTION_SEED !== undefined ? parseInt(process.env.MOTION_SEED) : null,
+  zoomAmount: 0.12,        // Ken Burns zoom over the whole clip (12%)
+  entranceDuration: 0.45,  // Seconds
+  stagger: 0.25,           // Default delay between slots' entrances in seconds
+  bob: { amplitude: 8, period: 2.4 },      // Pixels, seconds
+  shake: { amplitude: 3, frequency: 6 },   // Pixels, Hz
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the render seed
+ * @param {number|null} seed - Explicit seed (default: MOTION_SEED, else a new one)
+ * @returns {number} Seed
+ */
+function getSeed(seed = MOTION_CONFIG.seed) {
+  return Number.isInteger(seed) ? seed : Math.floor(Math.random() * 1e9);
+}
+
+/**
+ * Collect problems with a slot's "motion" object (used by layouts.js)
+ * @param {Object} motion - Slot motion settings
+ * @param {string} where - Location used in messages
+ * @returns {string[]} Problems found
+ */
+function checkMotion(motion, where) {
+  if (!motion || typeof motion !== 'object') {
+    return [`${where}: "motion" must be an object`];
+  }
+
+  const problems = [];
+  const check = (key, values) => {
+    if (motion[key] !== undefined && motion[key] !== 'random' && !values.includes(motion[key])) {
+      problems.push(`${where}: motion.${key} must be one of ${values.join(', ')} or random`);
+    }
+  };
+  check('effect', EFFECTS);
+  check('entrance', ENTRANCES);
+  check('preset', PRESETS);
+  if (motion.delay !== undefined && !(typeof motion.delay === 'number' && motion.delay >= 0)) {
+    problems.push(`${where}: motion.delay must be a number of seconds >= 0`);
+  }
+  return problems;
+}
+
+/**
+ * Work out the motion of one meme
+ * @param {Object} slot - Layout slot (may have a "motion" object)
+ * @param {number} index - Slot index, for the default entrance delay
+ * @param {function(): number} random - Seeded generator
+ * @param {Object} options - { animated, sequential }
+ * @returns {Object} { effect, entrance, preset, delay, phase }
+ */
+function resolveMotion(slot, index, random, options = {}) {
+  const settings = { effect: MOTION_CONFIG.effect, entrance: MOTION_CONFIG.entrance, preset: MOTION_CONFIG.preset, ...(slot.motion || {}) };
+
+  // "random" never picks "none"
+  const pick = (key, values) => {
+    const value = settings[key];
+    if (value === 'random') {
+      return values[1 + Math.floor(random() * (values.length - 1))];
+    }
+    if (!values.includes(value)) {
+      throw new Error(`Unknown motion ${key} "${value}" (use one of ${values.join(', ')} or random)`);
+    }
+    return value;
+  };
+
+  const motion = {
+    effect: pick('effect', EFFECTS),
+    entrance: pick('entrance', ENTRANCES),
+    preset: pick('preset', PRESETS),
+    // In sequential mode every meme enters at the start of its own slot
+    delay: settings.delay !== undefined ? settings.delay : options.sequential ? 0 : index * MOTION_CONFIG.stagger,
+    phase: Number((random() * Math.PI * 2).toFixed(3)),
+  };
+
+  // Ken Burns is for still images; GIFs and clips already move
+  if (options.animated) {
+    motion.effect = 'none';
+  }
+  return motion;
+}
+
+/**
+ * Check whether a motion does anything
+ * @param {Object} motion - Output of resolveMotion()
+ * @returns {boolean} True if the meme moves or animates in
+ */
+function isMoving(motion) {
+  return Boolean(motion) && (motion.effect !== 'none' || motion.entrance !== 'none' || motion.preset !== 'none');
+}
+
+/**
+ * Expression for entrance progress: 0 before the entrance, easing out to 1
+ * @param {Object} motion - Meme motion
+ * @param {string} time - Time expression in seconds (e.g. "t")
+ * @returns {string} FFmpeg expression
+ */
+function entranceProgress(motion, time) {
+  const p = `clip((${time}-${motion.delay})/${MOTION_CONFIG.entranceDuration},0,1)`;
+  return `(1-pow(1-${p},3))`;
+}
+
+/**
+ * Build the zoompan filter for Ken Burns effects and the pop entrance. The
+ * image must already be scaled to fit `area`; it is padded to the area at
+ * its anchor so zoompan gets a fixed size.
+ * @param {Object} motion - Meme motion
+ * @param {Object} area - { width, height } in pixels
+ * @param {Object} anchor - { x, y } fractions
+ * @param {Object} timing - { fps, duration } of the meme on screen
+ * @returns {string} Filter chain starting with "," or '' when not needed
+ */
+function zoomFilter(motion, area, anchor, timing) {
+  const pop = motion.entrance === 'pop';
+  if (motion.effect === 'none' && !pop) {
+    return '';
+  }
+
+  const { fps, duration } = timing;
+  const frames = Math.max(1, Math.round(duration * fps));
+  const amount = MOTION_CONFIG.zoomAmount;
+  const progress = `min(on/${frames},1)`;
+
+  // Ken Burns zoom (>= 1) and the horizontal focus point (0 = left, 1 = right)
+  let kenBurns = '1';
+  let focusX = String(anchor.x);
+  if (motion.effect === 'zoom-in') kenBurns = `(1+${amount}*${progress})`;
+  if (motion.effect === 'zoom-out') kenBurns = `(${1 + amount}-${amount}*${progress})`;
+  if (motion.effect === 'pan-left' || motion.effect === 'pan-right') {
+    kenBurns = String(1 + amount);
+    focusX = motion.effect === 'pan-left' ? `(1-${progress})` : progress;
+  }
+
+  // Pop: pad to twice the size and zoom from 1 (half size) to 2 (full size) with an overshoot
+  let zoom = kenBurns;
+  let view = (size, focus) => `(${size}-${size}/zoom)*${focus}`;
+  if (pop) {
+    const p = `clip((on/${fps}-${motion.delay})/${MOTION_CONFIG.entranceDuration},0,1)`;
+    const easeOutBack = `(1+2.70158*pow(${p}-1,3)+1.70158*pow(${p}-1,2))`;
+    zoom = `2*${kenBurns}*(0.5+0.5*${easeOutBack})`;
+    // Below 2 the view is centred on the canvas; above it, it moves inside the
+    // meme's area (the middle half of the canvas) towards the focus point
+    view = (size, focus) => `if(gte(zoom,2),${size}/4+(${size}/2-${size}/zoom)*${focus},${size}/2-${size}/(2*zoom))`;
+  }
+
+  const x = view('iw', focusX);
+  const y = view('ih', anchor.y);
+
+  const { width, height } = area;
+  let chain = `,format=rgba,pad=${width}:${height}:(ow-iw)*${anchor.x}:(oh-ih)*${anchor.y}:color=black@0`;
+  if (pop) {
+    chain += `,pad=${width * 2}:${height * 2}:(ow-iw)/2:(oh-ih)/2:color=black@0`;
+  }
+  chain += `,fps=${fps},zoompan=z='${zoom}':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${fps}`;
+  return chain;
+}
+
+/**
+ * Build the alpha fade of the fade and pop entrances
+ * @param {Object} motion - Meme motion
+ * @returns {string} Filter chain starting with "," or ''
+ */
+function fadeFilter(motion) {
+  if (motion.entrance === 'fade') {
+    return `,format=rgba,fade=t=in:st=${motion.delay}:d=${MOTION_CONFIG.entranceDuration}:alpha=1`;
+  }
+  if (motion.entrance === 'pop') {
+    return `,format=rgba,fade=t=in:st=${motion.delay}:d=0.12:alpha=1`;
+  }
+  return '';
+}
+
+/**
+ * Build overlay position offsets for slide entrances and bob/shake presets
+ * @param {Object} motion - Meme motion
+ * @param {Object} box - Slot box in pixels
+ * @param {Object} canvas - { width, height } of the frame
+ * @returns {Object} { x, y } - Expressions added to the resting position ('' for none)
+ */
+function positionOffsets(motion, box, canvas) {
+  let x = '';
+  let y = '';
+  const rest = `(1-${entranceProgress(motion, 't')})`;
+
+  // Slides start just off screen
+  if (motion.entrance === 'slide-left') x += `-${box.x + box.width}*${rest}`;
+  if (motion.entrance === 'slide-right') x += `+${canvas.width - box.x}*${rest}`;
+  if (motion.entrance === 'slide-up') y += `+${canvas.height - box.y}*${rest}`;
+
+  if (motion.preset === 'bob') {
+    const { amplitude, period } = MOTION_CONFIG.bob;
+    y += `+${amplitude}*sin(2*PI*t/${period}+${motion.phase})`;
+  }
+  if (motion.preset === 'shake') {
+    const { amplitude, frequency } = MOTION_CONFIG.shake;
+    x += `+${amplitude}*sin(2*PI*${frequency}*t+${motion.phase})`;
+    y += `+${amplitude}*sin(2*PI*${(frequency * 1.3).toFixed(2)}*t+${(motion.phase * 2).toFixed(3)})`;
+  }
+  return { x, y };
+}
+
+/**
+ * Describe a motion for logs
+ * @param {Object} motion - Meme motion
+ * @returns {string} e.g. "zoom-in, pop at 0.25s"
+ */
+function describeMotion(motion) {
+  const parts = [];
+  if (motion.effect !== 'none') parts.push(motion.effect);
+  if (motion.entrance !== 'none') parts.push(`${motion.entrance} at ${motion.delay}s`);
+  if (motion.preset !== 'none') parts.push(motion.preset);
+  return parts.join(', ') || 'still';
+}
+
+module.exports = {
+  EFFECTS,
+  ENTRANCES,
+  PRESETS,
+  MOTION_CONFIG,
+  createRandom,
+  getSeed,
+  checkMotion,
+  resolveMotion,
+  isMoving,
+  zoomFilter,
+  fadeFilter,
+  positionOffsets,
+  describeMotion,
+};
@@ -0,0 +1,252 @@
+/**
+ * Narration Module
+ *
+ * Optional voiceover (NARRATION=true): an intro line, then each meme's title,
+ * spoken by a local text-to-speech program. Nothing leaves the machine.
+ *
+ * TTS_COMMAND is the executable (default: espeak-ng on the PATH). TTS_ARGS
+ * are its arguments, split on spaces, with placeholders:
+ *   {text}    the line to speak (as one argument; without it the line goes to stdin)
+ *   {output}  the WAV file to write
+ *   {voice}   TTS_VOICE
+ * Without TTS_ARGS the arguments suit the command, and the line goes to stdin
+ * so a title can never be read as an option:
+ *   espeak-ng / espeak   -v {voice} -w {output} --stdin            (TTS_VOICE default: en-us)
+ *   piper                --model {voice} --output_file {output}   (TTS_VOICE: path of the .onnx model)
+ * A custom TTS_ARGS with {text} should put "--" before it if the program
+ * takes that; lines never start with "-" either way.
+ *
+ * The intro is NARRATION_INTRO (a template like HOOK_TEXT, "none" for no
+ * intro), else the hook, else DEFAULT_INTRO. Each title is read when its meme
+ * appears, never over another line; the renderer ducks the music under the
+ * voice and the lines become the video's subtitles (see subtitles.js), with
+ * exactly the spoken text. The hook is already on screen, so an intro that
+ * repeats it is not burned in again.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { probeDuration } = require('./backgroundSegments');
+const { renderHook } = require('./textOverlay');
+
+const NARRATION_CONFIG = {
+  enabled: process.env.NARRATION === 'true',
+  command: process.env.TTS_COMMAND || 'espeak-ng',
+  args: process.env.TTS_ARGS || '',
+  voice: process.env.TTS_VOICE || '',
+  intro: process.env.NARRATION_INTRO || '',
+  volume: process.env.NARRATION_VOLUME !== undefined ? parseFloat(process.env.NARRATION_VOLUME) : 1,
+  maxChars: 120,   // Longest spoken title
+  timeout: 30000,  // Per line, in milliseconds
+  lead: 0.3,       // Seconds between a meme appearing and its title being read
+  gap: 0.25,       // Seconds of silence between lines
+};
+
+const DEFAULT_INTRO = 'Here are {count} memes';
+
+// Default arguments per TTS program
+const ENGINES = {
+  espeak: { args: '-v {voice} -w {output} --stdin', voice: 'en-us' },
+  piper: { args: '--model {voice} --output_file {output}', voice: null },
+};
+
+/**
+ * Work out the TTS arguments for a line
+ * @param {string} text - Line to speak
+ * @param {string} outputPath - WAV file to write
+ * @returns {Object} { args, stdin } - stdin is the text when the arguments don't take it
+ */
+function getCommandArgs(text, outputPath) {
+  const name = path.basename(NARRATION_CONFIG.command).toLowerCase();
+  const engine = name.includes('piper') ? ENGINES.piper : ENGINES.espeak;
+  const template = NARRATION_CONFIG.args || engine.args;
+  const voice = NARRATION_CONFIG.voice || engine.voice;
+  if (template.includes('{voice}') && !voice) {
+    throw new Error(`Set TTS_VOICE for ${name} (e.g. the path of a .onnx voice model)`);
+  }
+
+  const values = { text, output: outputPath, voice };
+  const args = template.split(' ').filter(Boolean)
+    .map(arg => arg.replace(/\{(text|output|voice)\}/g, (_, key) => values[key]));
+  return { args, stdin: template.includes('{text}') ? null : text };
+}
+
+/**
+ * Turn a title into a line that reads well aloud (and on screen)
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned line ('' if nothing is left)
+ */
+function toSpeech(text) {
+  const clean = String(text || '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/\p{Extended_Pictographic}/gu, '')
+    .replace(/[#*_~^`<>|\\[\]{}]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    // A leading dash would look like an option to a TTS program taking the text as an argument
+    .replace(/^[-\s]+/, '');
+
+  const { maxChars } = NARRATION_CONFIG;
+  if (clean.length <= maxChars) {
+    return clean;
+  }
+  const cut = clean.substring(0, maxChars);
+  return `${cut.substring(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxChars).trim()}...`;
+}
+
+/**
+ * Work out the lines to speak
+ * @param {Object} context - { hook, count, titles }
+ * @returns {Object[]} { text, slot, subtitle } - slot is null for the intro
+ */
+function getNarrationLines(context) {
+  const { hook = '', count = 0, titles = [] } = context;
+  const lines = [];
+
+  const template = NARRATION_CONFIG.intro;
+  if (template !== 'none') {
+    const intro = toSpeech(template ? renderHook(template, { count, titles: titles.filter(Boolean) }) : hook || renderHook(DEFAULT_INTRO, { count }));
+    if (intro) {
+      lines.push({ text: intro, slot: null, subtitle: intro !== toSpeech(hook) });
+    }
+  }
+
+  titles.forEach((title, slot) => {
+    const text = toSpeech(title);
+    if (text) {
+      lines.push({ text, slot, subtitle: true });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Speak one line into a WAV file
+ * @param {string} text - Line to speak
+ * @param {string} outputPath - WAV file to write
+ * @returns {Promise<string>} WAV path
+ */
+function synthesize(text, outputPath) {
+  const { args, stdin } = getCommandArgs(text, outputPath);
+  return new Promise((resolve, reject) => {
+    const child = execFile(NARRATION_CONFIG.command, args, { timeout: NARRATION_CONFIG.timeout }, (error, stdout, stderr) => {
+      if (error) {
+        const reason = error.code === 'ENOENT'
+          ? `TTS command not found: ${NARRATION_CONFIG.command} (install espeak-ng or piper, or set TTS_COMMAND)`
+          : `TTS failed: ${(stderr || error.message).trim()}`;
+        reject(new Error(reason));
+        return;
+      }
+      if (!fs.existsSync(outputPath)) {
+        reject(new Error(`TTS wrote no audio to ${path.basename(outputPath)}`));
+        return;
+      }
+      resolve(outputPath);
+    });
+    if (stdin !== null) {
+      // A program that exits without reading stdin must not crash the run (EPIPE);
+      // its exit status or missing output reports the failure
+      child.stdin.on('error', () => {});
+      child.stdin.end(`${stdin}\n`);
+    }
+  });
+}
+
+/**
+ * Speak the narration lines of a video
+ * @param {Object} context - { hook, count, titles } (see getNarrationLines)
+ * @returns {Promise<Object[]|null>} Clips { text, slot, subtitle, path, duration }, or null when
+ *   there is nothing to say or the TTS program fails (the video is made without narration)
+ */
+async function prepareNarration(context) {
+  const lines = getNarrationLines(context);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meme-narration-'));
+  const clips = [];
+  try {
+    for (const [i, line] of lines.entries()) {
+      const clipPath = path.join(dir, `line${i}.wav`);
+      await synthesize(line.text, clipPath);
+      clips.push({ ...line, path: clipPath, duration: await probeDuration(clipPath) });
+    }
+  } catch (error) {
+    console.log(`   ⚠️ ${error.message}, rendering without narration`);
+    cleanupNarration(clips, dir);
+    return null;
+  }
+
+  console.log(`   🗣️ Narration: ${clips.length} line(s) via ${path.basename(NARRATION_CONFIG.command)}`);
+  return clips;
+}
+
+/**
+ * Work out how long each slot must last to fit its narration (sequential mode)
+ * @param {Object[]} clips - Output of prepareNarration()
+ * @param {number} count - Number of slots
+ * @returns {number[]} Seconds of narration per slot, with lead-in and gaps
+ */
+function getSlotMinimums(clips, count) {
+  const { lead, gap } = NARRATION_CONFIG;
+  const minimums = new Array(count).fill(0);
+  clips.forEach(clip => {
+    const slot = clip.slot === null ? 0 : clip.slot;
+    minimums[slot] += (minimums[slot] === 0 ? lead : gap) + clip.duration;
+  });
+  return minimums.map(seconds => (seconds > 0 ? Number((seconds + gap).toFixed(2)) : 0));
+}
+
+/**
+ * Time the narration: the intro first, each title once its meme is on
+ * screen, one line at a time. Lines that would run past the end are dropped.
+ * @param {Object[]} clips - Output of prepareNarration()
+ * @param {number[]} reveals - Second at which each slot's meme appears
+ * @param {number} maxEnd - Latest second a line may end
+ * @returns {Object[]} Cues { text, subtitle, path, start, end }
+ */
+function scheduleNarration(clips, reveals, maxEnd) {
+  const { lead, gap } = NARRATION_CONFIG;
+  const cues = [];
+  let free = 0;
+
+  clips.forEach(clip => {
+    const reveal = clip.slot === null ? 0 : reveals[clip.slot] || 0;
+    const start = Math.max(reveal + lead, free);
+    const end = start + clip.duration;
+    if (end > maxEnd) {
+      console.log(`   ⚠️ Narration "${clip.text}" doesn't fit in the video, skipped`);
+      return;
+    }
+    cues.push({ text: clip.text, subtitle: clip.subtitle, path: clip.path, start: Number(start.toFixed(2)), end: Number(end.toFixed(2)) });
+    free = end + gap;
+  });
+  return cues;
+}
+
+/**
+ * Delete the narration clips once the video is rendered
+ * @param {Object[]|null} clips - Output of prepareNarration()
+ * @param {string} dir - Clip directory (default: the clips' own)
+ */
+function cleanupNarration(clips, dir = null) {
+  const clipDir = dir || (clips && clips.length > 0 ? path.dirname(clips[0].path) : null);
+  if (!clipDir || !fs.existsSync(clipDir)) {
+    return;
+  }
+  fs.readdirSync(clipDir).forEach(file => fs.unlinkSync(path.join(clipDir, file)));
+  fs.rmdirSync(clipDir);
+}
+
+module.exports = {
+  NARRATION_CONFIG,
+  toSpeech,
+  getNarrationLines,
+  prepareNarration,
+  getSlotMinimums,
+  scheduleNarration,
+  cleanupNarration,
+};
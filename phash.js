@@ -0,0 +1,112 @@
+/**
+ * Perceptual Hash Module
+ *
+ * Computes a 64-bit difference hash (dHash) of an image so reposts of the
+ * same meme can be detected even when the file, URL and post id differ.
+ *
+ * FFmpeg decodes the image and shrinks it to a 9x8 grayscale frame; each bit
+ * of the hash records whether a pixel is brighter than its right neighbour.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Maximum Hamming distance (out of 64 bits) at which two images count as the same meme
+// (an unparseable PHASH_MAX_DISTANCE keeps the default rather than turning detection off)
+const PARSED_MAX_DISTANCE = parseInt(process.env.PHASH_MAX_DISTANCE);
+const MAX_DISTANCE = Number.isFinite(PARSED_MAX_DISTANCE) ? PARSED_MAX_DISTANCE : 6;
+
+/**
+ * Decode the first frame of an image into a tiny grayscale pixel buffer
+ * @param {string} imagePath - Path to the image
+ * @returns {Promise<Buffer>} HASH_WIDTH x HASH_HEIGHT gray pixels
+ */
+function readGrayPixels(imagePath) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    const stream = ffmpeg(imagePath)
+      .frames(1)
+      .videoFilters(`scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`)
+      .format('rawvideo')
+      .on('error', reject)
+      .pipe();
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      const pixels = Buffer.concat(chunks);
+      if (pixels.length < HASH_WIDTH * HASH_HEIGHT) {
+        reject(new Error(`FFmpeg returned ${pixels.length} bytes, expected ${HASH_WIDTH * HASH_HEIGHT}`));
+        return;
+      }
+      resolve(pixels);
+    });
+  });
+}
+
+/**
+ * Compute the dHash of an image
+ * @param {string} imagePath - Path to the image
+ * @returns {Promise<string>} 16-character hex hash
+ */
+async function computeHash(imagePath) {
+  const pixels = await readGrayPixels(imagePath);
+  let hash = 0n;
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count differing bits between two hex hashes
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Find the closest known hash within the allowed distance
+ * @param {string} hash - Hash to look up
+ * @param {Object[]} index - Entries with a `hash` property
+ * @param {number} maxDistance - Maximum Hamming distance that counts as a match
+ * @returns {Object|null} { entry, distance } of the nearest match, or null
+ */
+function findNearDuplicate(hash, index, maxDistance = MAX_DISTANCE) {
+  let best = null;
+
+  index
+    .filter(entry => entry.hash)
+    .forEach(entry => {
+      const distance = hammingDistance(hash, entry.hash);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { entry, distance };
+      }
+    });
+
+  return best;
+}
+
+module.exports = {
+  MAX_DISTANCE,
+  computeHash,
+  hammingDistance,
+  findNearDuplicate,
+};
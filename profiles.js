@@ -0,0 +1,174 @@
+/**
+ * Output Profiles Module
+ *
+ * Loads the output profiles in config/profiles.json (override with
+ * PROFILES_CONFIG). A profile describes one platform's video:
+ *
+ *   "square": {
+ *     "width": 1080, "height": 1080, "fps": 30, "maxDuration": 60,
+ *     "maxBitrate": "5M", "audioBitrate": "128k", "sampleRate": 44100
+ *   }
+ *
+ * OUTPUT_PROFILES (or --profiles) lists the profiles to render, comma-separated
+ * (default: the file's "default"). All of them are rendered in one FFmpeg run
+ * from the same memes and background. The first profile is the main video,
+ * written where it always was (and uploaded); the others are written to
+ * output/<profile>/ under the same file name.
+ *
+ * OUTPUT_WIDTH/OUTPUT_HEIGHT still override the size of the default profile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_CONFIG_PATH = process.env.PROFILES_CONFIG || path.join(__dirname, 'config', 'profiles.json');
+
+let cachedConfig = null;
+
+/**
+ * Validate one profile
+ * @param {Object} profile - Profile settings
+ * @param {string} name - Profile name used in messages
+ * @returns {string[]} Problems found
+ */
+function checkProfile(profile, name) {
+  const where = `profiles.${name}`;
+  if (!profile || typeof profile !== 'object') {
+    return [`${where}: must be an object`];
+  }
+
+  const problems = [];
+  const isEvenSize = value => Number.isInteger(value) && value >= 2 && value % 2 === 0;
+  if (!isEvenSize(profile.width) || !isEvenSize(profile.height)) {
+    problems.push(`${where}: "width" and "height" must be even numbers of pixels`);
+  }
+  if (!(typeof profile.fps === 'number' && profile.fps > 0 && profile.fps <= 120)) {
+    problems.push(`${where}: "fps" must be a number from 1 to 120`);
+  }
+  if (!(typeof profile.maxDuration === 'number' && profile.maxDuration > 0)) {
+    problems.push(`${where}: "maxDuration" must be a number of seconds > 0`);
+  }
+  ['maxBitrate', 'audioBitrate'].forEach(key => {
+    if (profile[key] !== undefined && !/^\d+(\.\d+)?[kM]?$/.test(String(profile[key]))) {
+      problems.push(`${where}: "${key}" must be a bitrate like "8M" or "128k"`);
+    }
+  });
+  if (profile.sampleRate !== undefined && ![44100, 48000].includes(profile.sampleRate)) {
+    problems.push(`${where}: "sampleRate" must be 44100 or 48000`);
+  }
+  return problems;
+}
+
+/**
+ * Load and validate config/profiles.json (cached)
+ * @returns {Object} { default, profiles }
+ */
+function loadProfiles() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+  if (!fs.existsSync(PROFILES_CONFIG_PATH)) {
+    throw new Error(`Missing profiles config: ${PROFILES_CONFIG_PATH}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(PROFILES_CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${PROFILES_CONFIG_PATH}: ${error.message}`);
+  }
+
+  if (!config || typeof config.profiles !== 'object' || config.profiles === null) {
+    throw new Error(`Invalid profiles config ${PROFILES_CONFIG_PATH}: expected an object with a "profiles" map`);
+  }
+  const problems = [];
+  Object.entries(config.profiles).forEach(([name, profile]) => {
+    problems.push(...checkProfile(profile, name));
+  });
+  if (config.default !== undefined && !config.profiles[config.default]) {
+    problems.push(`default: no profile named "${config.default}"`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid profiles config ${PROFILES_CONFIG_PATH}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  cachedConfig = config;
+  return cachedConfig;
+}
+
+/**
+ * Get the profiles to render
+ * @param {string|string[]} names - Profile names, comma-separated or as an array
+ *   (default: OUTPUT_PROFILES, then the config's default)
+ * @returns {Object[]} Profiles with their names, main profile first
+ */
+function getProfiles(names = process.env.OUTPUT_PROFILES) {
+  const config = loadProfiles();
+  const defaultName = config.default || 'shorts';
+  const list = (Array.isArray(names) ? names : String(names || defaultName).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return [...new Set(list)].map(name => {
+    const profile = config.profiles[name];
+    if (!profile) {
+      throw new Error(`Unknown output profile "${name}" (available: ${Object.keys(config.profiles).join(', ')})`);
+    }
+
+    const resolved = { name, audioBitrate: '192k', sampleRate: 48000, ...profile };
+    if (name === defaultName) {
+      resolved.width = parseInt(process.env.OUTPUT_WIDTH) || resolved.width;
+      resolved.height = parseInt(process.env.OUTPUT_HEIGHT) || resolved.height;
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Get where a profile's video is written
+ * @param {string} outputPath - Path of the main video
+ * @param {Object} profile - Profile
+ * @param {number} index - Position in the profile list (0 = main video)
+ * @returns {string} Output path
+ */
+function getProfileOutputPath(outputPath, profile, index) {
+  if (index === 0) {
+    return outputPath;
+  }
+  const dir = path.join(path.dirname(outputPath), profile.name);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, path.basename(outputPath));
+}
+
+/**
+ * Get FFmpeg output options for a profile's encoding limits
+ * @param {Object} profile - Profile
+ * @returns {string[]} Output options
+ */
+function getEncodingOptions(profile) {
+  const options = [];
+  if (profile.maxBitrate) {
+    // Constant quality, capped for the platform; the buffer allows short peaks
+    const bufsize = String(profile.maxBitrate).replace(/^[\d.]+/, value => String(parseFloat(value) * 2));
+    options.push('-maxrate', String(profile.maxBitrate), '-bufsize', bufsize);
+  }
+  return options;
+}
+
+/**
+ * Describe a profile for logs
+ * @param {Object} profile - Profile
+ * @returns {string} e.g. "square 1080x1080 @30fps"
+ */
+function describeProfile(profile) {
+  return `${profile.name} ${profile.width}x${profile.height} @${profile.fps}fps`;
+}
+
+module.exports = {
+  PROFILES_CONFIG_PATH,
+  loadProfiles,
+  getProfiles,
+  getProfileOutputPath,
+  getEncodingOptions,
+  describeProfile,
+};
@@ -0,0 +1,125 @@
+/**
+ * Image Quality Module
+ *
+ * Probes downloaded memes with ffprobe and rejects files that would look bad
+ * once scaled into the video: tiny thumbnails, extreme panoramas or strips,
+ * oversized files and files with no decodable frames.
+ *
+ * Thresholds can be tuned in .env:
+ *   QUALITY_MIN_WIDTH=480       Minimum width in pixels
+ *   QUALITY_MIN_HEIGHT=320      Minimum height in pixels
+ *   QUALITY_MIN_ASPECT=0.4      Minimum width/height ratio (tallest allowed)
+ *   QUALITY_MAX_ASPECT=2.5      Maximum width/height ratio (widest allowed)
+ *   QUALITY_MAX_IMAGE_MB=10     Size cap for still images and GIFs
+ *   QUALITY_MAX_CLIP_MB=50      Size cap for mp4/webm clips
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const CLIP_EXTENSIONS = ['.mp4', '.webm'];
+
+/**
+ * Read a numeric threshold from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value or fallback
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const THRESHOLDS = {
+  minWidth: envNumber('QUALITY_MIN_WIDTH', 480),
+  minHeight: envNumber('QUALITY_MIN_HEIGHT', 320),
+  minAspect: envNumber('QUALITY_MIN_ASPECT', 0.4),
+  maxAspect: envNumber('QUALITY_MAX_ASPECT', 2.5),
+  maxImageBytes: envNumber('QUALITY_MAX_IMAGE_MB', 10) * 1024 * 1024,
+  maxClipBytes: envNumber('QUALITY_MAX_CLIP_MB', 50) * 1024 * 1024,
+};
+
+/**
+ * Probe a media file for its dimensions, frame count and size
+ * @param {string} filePath - Downloaded meme file
+ * @returns {Promise<Object>} { width, height, frames, bytes, isClip }
+ */
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    // -count_frames decodes the stream so GIFs report a real frame count
+    ffmpeg.ffprobe(filePath, ['-count_frames'], (err, metadata) => {
+      if (err) {
+        reject(new Error(`Could not probe ${path.basename(filePath)}: ${err.message}`));
+        return;
+      }
+
+      const stream = metadata.streams.find(s => s.codec_type === 'video');
+      if (!stream) {
+        reject(new Error(`No image stream in ${path.basename(filePath)}`));
+        return;
+      }
+
+      const frames = parseInt(stream.nb_read_frames) || parseInt(stream.nb_frames) || 0;
+      resolve({
+        width: stream.width || 0,
+        height: stream.height || 0,
+        frames,
+        bytes: fs.statSync(filePath).size,
+        isClip: CLIP_EXTENSIONS.includes(path.extname(filePath).toLowerCase()),
+      });
+    });
+  });
+}
+
+/**
+ * Check probed media against the thresholds
+ * @param {Object} media - Result of probeMedia()
+ * @param {Object} thresholds - Limits to apply
+ * @returns {string|null} Rejection reason, or null if the file passes
+ */
+function checkMedia(media, thresholds = THRESHOLDS) {
+  const { width, height, frames, bytes, isClip } = media;
+  const megabytes = value => (value / 1024 / 1024).toFixed(1);
+
+  if (frames === 0) return 'no decodable frames';
+  if (width < thresholds.minWidth || height < thresholds.minHeight) {
+    return `too small (${width}x${height}, minimum ${thresholds.minWidth}x${thresholds.minHeight})`;
+  }
+
+  const aspect = width / height;
+  if (aspect < thresholds.minAspect || aspect > thresholds.maxAspect) {
+    return `aspect ratio ${aspect.toFixed(2)} outside ${thresholds.minAspect}-${thresholds.maxAspect}`;
+  }
+
+  const maxBytes = isClip ? thresholds.maxClipBytes : thresholds.maxImageBytes;
+  if (bytes > maxBytes) {
+    return `file too large (${megabytes(bytes)} MB, cap ${megabytes(maxBytes)} MB)`;
+  }
+
+  return null;
+}
+
+/**
+ * Probe a downloaded meme and throw if it fails the quality gate
+ * @param {string} filePath - Downloaded meme file
+ * @returns {Promise<Object>} Probe result (see probeMedia)
+ * @throws {Error} With the rejection reason
+ */
+async function assertQuality(filePath) {
+  const media = await probeMedia(filePath);
+  const reason = checkMedia(media);
+  if (reason) {
+    throw new Error(`Low quality: ${reason}`);
+  }
+
+  console.log(`   📐 ${media.width}x${media.height}${media.frames > 1 ? `, ${media.frames} frames` : ''}`);
+  return media;
+}
+
+module.exports = {
+  THRESHOLDS,
+  probeMedia,
+  checkMedia,
+  assertQuality,
+};
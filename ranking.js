@@ -0,0 +1,188 @@
+/**
+ * Meme Ranking Module
+ *
+ * Scores candidates on engagement instead of trusting the listing order:
+ *   velocity     - score per hour since the post was created (age-normalized)
+ *   upvoteRatio  - share of upvotes
+ *   comments     - number of comments
+ *   title        - title length (long titles read badly as captions)
+ *
+ * Velocity and comments are log-scaled and normalized against the best
+ * candidate in the same batch, so every component lies in 0-1. Components a
+ * source does not report (e.g. comments for RSS feeds) count as 0.5.
+ *
+ * The pick is a softmax over the top-ranked candidates. RANK_TEMPERATURE
+ * controls the randomness: 0 always takes the best candidate, higher values
+ * spread picks more evenly. RANK_WEIGHTS overrides the component weights,
+ * e.g. "velocity=0.5,upvoteRatio=0.2,comments=0.2,title=0.1".
+ */
+
+const DEFAULT_WEIGHTS = {
+  velocity: 0.45,
+  upvoteRatio: 0.25,
+  comments: 0.2,
+  title: 0.1,
+};
+
+// Titles up to this length score fully, then fade out linearly
+const IDEAL_TITLE_LENGTH = 80;
+const MAX_TITLE_LENGTH = 200;
+
+// Added to a post's age so brand-new posts don't get huge velocities
+const AGE_SMOOTHING_HOURS = 2;
+
+const UNKNOWN = 0.5;
+
+const TEMPERATURE = process.env.RANK_TEMPERATURE !== undefined
+  ? parseFloat(process.env.RANK_TEMPERATURE)
+  : 0.1;
+
+/**
+ * Parse "name=value,..." weight overrides
+ * @param {string|undefined} value - RANK_WEIGHTS value
+ * @returns {Object} Weights
+ */
+function parseWeights(value) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  (value || '').split(',').filter(Boolean).forEach(pair => {
+    const [name, weight] = pair.split('=').map(part => part.trim());
+    if (!(name in DEFAULT_WEIGHTS) || !Number.isFinite(parseFloat(weight))) {
+      throw new Error(`Invalid RANK_WEIGHTS entry "${pair}" (expected one of ${Object.keys(DEFAULT_WEIGHTS).join(', ')}=<number>)`);
+    }
+    weights[name] = parseFloat(weight);
+  });
+  return weights;
+}
+
+let cachedWeights = null;
+
+/**
+ * Get the component weights: the defaults with RANK_WEIGHTS applied (cached)
+ * @returns {Object} Weights
+ */
+function getWeights() {
+  if (!cachedWeights) {
+    cachedWeights = parseWeights(process.env.RANK_WEIGHTS);
+  }
+  return cachedWeights;
+}
+
+/**
+ * Score a title by length
+ * @param {string} title - Post title
+ * @returns {number} 1 for short titles, fading to 0 at MAX_TITLE_LENGTH
+ */
+function titleScore(title = '') {
+  const length = title.trim().length;
+  if (length <= IDEAL_TITLE_LENGTH) return 1;
+  return Math.max(0, 1 - (length - IDEAL_TITLE_LENGTH) / (MAX_TITLE_LENGTH - IDEAL_TITLE_LENGTH));
+}
+
+/**
+ * Compute raw engagement signals of a candidate
+ * @param {Object} candidate - Meme candidate (see sources.js)
+ * @param {number} now - Current time in ms
+ * @returns {Object} { velocity, upvoteRatio, comments } (null when unknown)
+ */
+function getSignals(candidate, now) {
+  const ageHours = candidate.createdUtc
+    ? Math.max(0, (now - candidate.createdUtc * 1000) / 3600000)
+    : null;
+
+  return {
+    ageHours,
+    velocity: ageHours !== null ? Math.max(0, candidate.score || 0) / (ageHours + AGE_SMOOTHING_HOURS) : null,
+    upvoteRatio: typeof candidate.upvoteRatio === 'number' ? candidate.upvoteRatio : null,
+    comments: typeof candidate.numComments === 'number' ? candidate.numComments : null,
+  };
+}
+
+/**
+ * Rank candidates, best first
+ * @param {Object[]} candidates - Meme candidates from one source
+ * @param {Object} options - { weights, now } (weights default to getWeights())
+ * @returns {Object[]} Copies of the candidates with a `rank` record:
+ *   { position, score, velocity, ageHours, components: { velocity, upvoteRatio, comments, title } }
+ */
+function rankCandidates(candidates, options = {}) {
+  const { weights = getWeights(), now = Date.now() } = options;
+  const signals = candidates.map(candidate => getSignals(candidate, now));
+
+  // Log-scale heavy-tailed signals and normalize against the batch maximum
+  const normalizer = key => {
+    const max = Math.max(0, ...signals.map(s => (s[key] !== null ? Math.log1p(s[key]) : 0)));
+    return value => (value === null ? UNKNOWN : max > 0 ? Math.log1p(value) / max : 0);
+  };
+  const normVelocity = normalizer('velocity');
+  const normComments = normalizer('comments');
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+
+  return candidates
+    .map((candidate, i) => {
+      const components = {
+        velocity: normVelocity(signals[i].velocity),
+        upvoteRatio: signals[i].upvoteRatio !== null ? signals[i].upvoteRatio : UNKNOWN,
+        comments: normComments(signals[i].comments),
+        title: titleScore(candidate.title),
+      };
+      const score = Object.keys(weights)
+        .reduce((sum, key) => sum + weights[key] * components[key], 0) / totalWeight;
+
+      return {
+        ...candidate,
+        rank: {
+          score: Number(score.toFixed(4)),
+          velocity: signals[i].velocity !== null ? Number(signals[i].velocity.toFixed(2)) : null,
+          ageHours: signals[i].ageHours !== null ? Number(signals[i].ageHours.toFixed(1)) : null,
+          components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, Number(v.toFixed(3))])),
+        },
+      };
+    })
+    .sort((a, b) => b.rank.score - a.rank.score)
+    .map((candidate, position) => ({ ...candidate, rank: { position: position + 1, ...candidate.rank } }));
+}
+
+/**
+ * Pick the index of a ranked candidate with a softmax over the top `pool` entries
+ * @param {Object[]} ranked - Output of rankCandidates() (best first)
+ * @param {number} pool - How many of the best candidates can be picked
+ * @param {number} temperature - Randomness (0 = always the best)
+ * @returns {number} Index into `ranked`
+ */
+function pickIndex(ranked, pool, temperature = TEMPERATURE) {
+  const top = ranked.slice(0, Math.max(1, pool));
+  if (!(temperature > 0) || top.length === 1) {
+    return 0;
+  }
+
+  const best = top[0].rank.score;
+  const weights = top.map(candidate => Math.exp((candidate.rank.score - best) / temperature));
+  let roll = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) {
+      return i;
+    }
+  }
+  return top.length - 1;
+}
+
+/**
+ * Format a ranked candidate for logs
+ * @param {Object} candidate - Ranked candidate
+ * @returns {string} One-line summary
+ */
+function describeRank(candidate) {
+  const { position, score, components: c } = candidate.rank;
+  return `#${position} score ${score.toFixed(3)} (velocity ${c.velocity.toFixed(2)}, ratio ${c.upvoteRatio.toFixed(2)}, comments ${c.comments.toFixed(2)}, title ${c.title.toFixed(2)})`;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  getWeights,
+  TEMPERATURE,
+  parseWeights,
+  rankCandidates,
+  pickIndex,
+  describeRank,
+};
@@ -0,0 +1,221 @@
+/**
+ * Reddit API Client
+ *
+ * Fetches Reddit listings, authenticated when OAuth app credentials are set
+ * in .env and anonymously otherwise.
+ *
+ * Authenticated mode (https://www.reddit.com/prefs/apps):
+ *   REDDIT_CLIENT_ID=...          App client id
+ *   REDDIT_CLIENT_SECRET=...      App secret
+ *   REDDIT_USERNAME=...           Optional: with REDDIT_PASSWORD, use a "script" app
+ *   REDDIT_PASSWORD=...           (password grant); otherwise an application-only token
+ *
+ * Tokens are cached in memory and refreshed shortly before they expire, or
+ * when Reddit answers 401. Requests go to oauth.reddit.com.
+ *
+ * Anonymous mode uses the public www.reddit.com/*.json endpoints.
+ *
+ * Both modes send a user agent in Reddit's required format,
+ * "<platform>:<app id>:<version> (by /u/<username>)", built from
+ * REDDIT_APP_NAME and REDDIT_USERNAME, or set REDDIT_USER_AGENT directly.
+ *
+ * REDDIT_OAUTH_BASE_URL, REDDIT_PUBLIC_BASE_URL and REDDIT_AUTH_URL override
+ * the endpoints, e.g. to point the client at a local stand-in server.
+ */
+
+const http = require('./http');
+const { version } = require('./package.json');
+
+// Refresh tokens this long before Reddit says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Build a user agent in the format Reddit's API rules ask for
+ * @param {Object} options - { appName, username }
+ * @returns {string} User agent
+ */
+function buildUserAgent({ appName, username } = {}) {
+  appName = appName || 'meme-video-generator';
+  const owner = username ? ` (by /u/${username})` : '';
+  return `nodejs:${appName}:v${version}${owner}`;
+}
+
+/**
+ * Read client settings from the environment
+ * @returns {Object} Options for createRedditClient()
+ */
+function getEnvOptions() {
+  return {
+    clientId: process.env.REDDIT_CLIENT_ID,
+    clientSecret: process.env.REDDIT_CLIENT_SECRET,
+    username: process.env.REDDIT_USERNAME,
+    password: process.env.REDDIT_PASSWORD,
+    userAgent: process.env.REDDIT_USER_AGENT,
+    appName: process.env.REDDIT_APP_NAME,
+    oauthBaseUrl: process.env.REDDIT_OAUTH_BASE_URL || 'https://oauth.reddit.com',
+    publicBaseUrl: process.env.REDDIT_PUBLIC_BASE_URL || 'https://www.reddit.com',
+    authUrl: process.env.REDDIT_AUTH_URL || 'https://www.reddit.com/api/v1/access_token',
+  };
+}
+
+/**
+ * Create a Reddit client
+ * @param {Object} overrides - Options overriding the .env settings
+ * @param {Object} overrides.httpClient - HTTP client to use (default: shared http.js client)
+ * @returns {Object} { isAuthenticated, getListing, getToken, userAgent }
+ */
+function createRedditClient(overrides = {}) {
+  const options = { ...getEnvOptions(), ...overrides };
+  options.userAgent = options.userAgent || buildUserAgent(options);
+  const httpClient = options.httpClient || http;
+  const isAuthenticated = Boolean(options.clientId && options.clientSecret);
+
+  let cachedToken = null;   // { accessToken, expiresAt }
+  let pendingToken = null;  // In-flight token request shared by concurrent callers
+  let authFailed = false;   // Set once credentials are rejected; later requests go anonymous
+
+  /**
+   * Request a new access token
+   * @returns {Promise<Object>} { accessToken, expiresAt }
+   * @throws {Error} With authRejected set when Reddit refuses the credentials
+   */
+  async function requestToken() {
+    const scriptApp = Boolean(options.username && options.password);
+    const body = new URLSearchParams(scriptApp
+      ? { grant_type: 'password', username: options.username, password: options.password }
+      : { grant_type: 'client_credentials' });
+
+    let response;
+    try {
+      response = await httpClient.request({
+        method: 'post',
+        url: options.authUrl,
+        data: body.toString(),
+        auth: { username: options.clientId, password: options.clientSecret },
+        headers: {
+          'User-Agent': options.userAgent,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+      });
+    } catch (error) {
+      // 401: bad client id/secret; 400: bad grant (e.g. wrong password).
+      // Anything else (network, 5xx) is worth trying again on the next request
+      const status = error.response && error.response.status;
+      error.authRejected = status === 401 || status === 400;
+      throw error;
+    }
+
+    // Reddit also reports bad credentials with a 200 and an "error" field
+    if (!response.data || !response.data.access_token) {
+      const error = new Error(`Reddit token request failed: ${(response.data && response.data.error) || 'no access_token'}`);
+      error.authRejected = Boolean(response.data && response.data.error);
+      throw error;
+    }
+
+    console.log(`🔑 Reddit ${scriptApp ? 'script' : 'application-only'} token obtained`);
+    return {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000 - TOKEN_EXPIRY_MARGIN_MS,
+    };
+  }
+
+  /**
+   * Get a valid access token, requesting one if the cache is empty or stale
+   * @returns {Promise<string>} Access token
+   */
+  async function getToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.accessToken;
+    }
+    if (!pendingToken) {
+      pendingToken = requestToken()
+        .then(token => {
+          cachedToken = token;
+          return token;
+        })
+        .finally(() => {
+          pendingToken = null;
+        });
+    }
+    return (await pendingToken).accessToken;
+  }
+
+  /**
+   * Fetch a listing anonymously from the public JSON endpoints
+   */
+  async function getPublicListing(listingPath, params) {
+    const response = await httpClient.get(`${options.publicBaseUrl}${listingPath}.json`, {
+      params,
+      headers: { 'User-Agent': options.userAgent, 'Accept': 'application/json' },
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch a listing from oauth.reddit.com, refreshing the token once on 401
+   */
+  async function getOAuthListing(listingPath, params, retried = false) {
+    const accessToken = await getToken();
+    try {
+      const response = await httpClient.get(`${options.oauthBaseUrl}${listingPath}`, {
+        params: { ...params, raw_json: 1 },
+        headers: {
+          'User-Agent': options.userAgent,
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/json',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 401 && !retried) {
+        cachedToken = null;
+        return getOAuthListing(listingPath, params, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a listing such as "/r/memes/top" or "/user/name/submitted"
+   * @param {string} listingPath - Listing path without host or ".json"
+   * @param {Object} params - Query parameters (limit, t, sort, ...)
+   * @returns {Promise<Object>} Listing JSON ({ data: { children } })
+   */
+  async function getListing(listingPath, params = {}) {
+    if (!isAuthenticated || authFailed) {
+      return getPublicListing(listingPath, params);
+    }
+
+    try {
+      return await getOAuthListing(listingPath, params);
+    } catch (error) {
+      // Only rejected credentials switch to anonymous mode; other errors are the caller's
+      const status = error.response && error.response.status;
+      if (!error.authRejected && status !== 401) {
+        throw error;
+      }
+
+      // Bad credentials shouldn't stop the run: fall back to anonymous requests
+      authFailed = true;
+      console.log(`   ⚠️ Reddit authentication failed (${error.message}), falling back to anonymous mode`);
+      return getPublicListing(listingPath, params);
+    }
+  }
+
+  return {
+    isAuthenticated,
+    userAgent: options.userAgent,
+    getToken,
+    getListing,
+  };
+}
+
+// Shared client configured from .env
+const defaultClient = createRedditClient();
+
+module.exports = {
+  buildUserAgent,
+  createRedditClient,
+  getListing: defaultClient.getListing,
+  isAuthenticated: defaultClient.isAuthenticated,
+};
@@ -0,0 +1,818 @@
+/**
+ * Video Renderer Module
+ *
+ * Builds the FFmpeg command that composes memes over the background video.
+ * Shared by index.js, createVideo.js and scheduler.js.
+ *
+ * Where the memes go is decided by a layout template (see layouts.js): each
+ * meme is scaled into its slot's box and overlaid at the slot's anchor.
+ *
+ * Two render modes (RENDER_MODE):
+ *   layout      All memes on screen for the whole video (default)
+ *   sequential  One meme at a time, each in its own time slot, joined by xfade
+ *               transitions (fade, slide, wipe, zoom). Slot durations come from
+ *               SLIDE_DURATION or from how long each meme's title is to read.
+ *
+ * Memes can be still images, GIFs or short mp4/webm clips. Animated memes
+ * are looped for the full length of the video. The audio stage (music,
+ * gameplay audio, clip audio) is built by audioMix.js.
+ *
+ * One render can write several output profiles (see profiles.js): the inputs
+ * are decoded once and split, and each profile gets its own copy of the
+ * filter graph at its size, with the layout variant that fits its shape.
+ *
+ * With CREDIT_LINE=true a small "u/author | r/source" line is drawn under each
+ * meme (see attribution.js). Hook headline, captions and watermark come from
+ * textOverlay.js. Ken Burns zooms, entrance animations and bob/shake come
+ * from motion.js. Narration comes from narration.js; subtitle cues (burned in
+ * and/or written as an SRT/VTT sidecar) from subtitles.js. Intro and outro
+ * bumpers (bumpers.js) are joined around the composition with concat.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const layouts = require('./layouts');
+const backgroundSegments = require('./backgroundSegments');
+const backgroundModes = require('./backgroundModes');
+const motion = require('./motion');
+const profiles = require('./profiles');
+const narration = require('./narration');
+const subtitles = require('./subtitles');
+const bumpers = require('./bumpers');
+const { AUDIO_CONFIG, buildAudioFilters } = require('./audioMix');
+const { TEXT_CONFIG, escapeDrawtext, fontOption, fitText, renderHook, getCaption, captionFilters, buildTextLayer } = require('./textOverlay');
+
+// Configuration
+const CONFIG = {
+  // Canvas when no output profile is given (see profiles.js)
+  outputWidth: parseInt(process.env.OUTPUT_WIDTH) || 1080,
+  outputHeight: parseInt(process.env.OUTPUT_HEIGHT) || 1920,
+  duration: 15, // seconds
+  fps: 30,
+  // Volume of a clip's own audio relative to the main track (when mixed in)
+  clipAudioVolume: parseFloat(process.env.CLIP_AUDIO_VOLUME) || 0.6,
+  // Credit line under each meme
+  creditLine: process.env.CREDIT_LINE === 'true',
+  creditFontSize: 26,
+  // Render mode: 'layout' or 'sequential'
+  mode: process.env.RENDER_MODE || 'layout',
+  sequence: {
+    count: Math.min(10, Math.max(2, parseInt(process.env.SEQUENCE_COUNT) || 4)), // Memes per video (2-10)
+    layout: process.env.SEQUENCE_LAYOUT || 'single',     // Layout whose slots the memes take turns in
+    transition: process.env.SEQUENCE_TRANSITION || 'fade',
+    transitionDuration: parseFloat(process.env.TRANSITION_DURATION) || 0.5,
+    slideDuration: parseFloat(process.env.SLIDE_DURATION) || null, // Fixed seconds per meme; unset = from title length
+    minSlideDuration: 2.5,
+    maxSlideDuration: 6,
+    readingSpeed: 15, // Title characters read per second
+    maxDuration: 60,  // Longest sequence; output profiles can lower it
+  },
+};
+
+// Transition names accepted in SEQUENCE_TRANSITION → FFmpeg xfade transitions
+const TRANSITIONS = {
+  fade: 'fade',
+  slide: 'slideleft',
+  wipe: 'wipeleft',
+  zoom: 'zoomin',
+};
+
+// Shortest composition left between the bumpers, in seconds
+const MIN_COMPOSITION_DURATION = 5;
+
+// Height reserved under a meme for its credit line
+const CREDIT_HEIGHT = 40;
+
+const GIF_EXTENSIONS = ['.gif'];
+const CLIP_EXTENSIONS = ['.mp4', '.webm', '.mov', '.mkv'];
+
+/**
+ * Check whether a meme file is animated (GIF or video clip)
+ * @param {string} filePath - Meme file path
+ * @returns {boolean} True for GIFs and clips
+ */
+function isAnimated(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return GIF_EXTENSIONS.includes(ext) || CLIP_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Get input options that make a meme play for the whole video
+ * @param {string} filePath - Meme file path
+ * @param {boolean} loopStill - Also turn still images into an endless stream (needed by xfade)
+ * @returns {string[]} FFmpeg input options
+ */
+function getLoopInputOptions(filePath, loopStill = false) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (GIF_EXTENSIONS.includes(ext)) {
+    // The GIF demuxer plays once unless told to honour the file's loop flag
+    return ['-ignore_loop', '0'];
+  }
+  if (CLIP_EXTENSIONS.includes(ext)) {
+    return ['-stream_loop', '-1'];
+  }
+  return loopStill ? ['-loop', '1'] : [];
+}
+
+/**
+ * Describe the canvas one output draws on and the filter labels its part of the graph uses
+ * @param {Object|null} profile - Output profile (default: CONFIG size and fps)
+ * @param {string} suffix - Added to every label, so several outputs can share one graph
+ * @returns {Object} { width, height, fps, label(name), input(index) }
+ */
+function createTarget(profile = null, suffix = '') {
+  const { width = CONFIG.outputWidth, height = CONFIG.outputHeight, fps = CONFIG.fps } = profile || {};
+  return {
+    width,
+    height,
+    fps,
+    label: name => `${name}${suffix}`,
+    // With a suffix, each output reads its own copy of a split input
+    input: index => (suffix ? `in${index}${suffix}` : `${index}:v`),
+    audioInput: index => (suffix ? `ain${index}${suffix}` : `${index}:a`),
+  };
+}
+
+/**
+ * Build a drawtext filter that writes a credit line centred in the bottom band of a meme
+ * @param {string} text - Credit text
+ * @returns {string} drawtext filter
+ */
+function creditFilter(text) {
+  return `drawtext=${fontOption()}text=${escapeDrawtext(text)}:expansion=none:fontsize=${CONFIG.creditFontSize}` +
+    `:fontcolor=white@0.85:x=(w-text_w)/2:y=h-${CREDIT_HEIGHT}+(${CREDIT_HEIGHT}-text_h)/2`;
+}
+
+/**
+ * Filter that turns the background (input 0) into a full frame
+ * @param {Object} background - { mode, path } (see backgroundModes.js; default: gameplay)
+ * @param {number} duration - Video length in seconds
+ * @param {Object} target - Output canvas and labels (see createTarget)
+ * @returns {string} Filter labelled [bg]
+ */
+function backgroundFilter(background, duration, target) {
+  const { width, height, fps } = target;
+  return backgroundModes.buildBackgroundFilter(background, {
+    width, height, fps, duration, input: target.input(0), output: target.label('bg'),
+  });
+}
+
+/**
+ * Filter that draws a layout's banner: a filled box with (truncated) text
+ * @param {Object} layout - Layout template with a banner
+ * @param {string} canvas - Input label
+ * @param {Array<string|null>} titles - Meme titles
+ * @param {Array<Object>} windows - Optional { start, end } per title; one text per window
+ * @param {Object} target - Output canvas and labels (see createTarget)
+ * @returns {string} Filter labelled [banner]
+ */
+function bannerFilter(layout, canvas, titles, windows = null, target = createTarget()) {
+  const { color = 'white', textColor = 'black', fontSize = 0.03, text = '{title}', slot = 0 } = layout.banner;
+  const box = layouts.resolveBox(layout.banner.box, target.width, target.height);
+  const size = Math.round(fontSize * target.height);
+
+  const drawText = (title, enable) => {
+    const bannerText = fitText(text.replace(/\{title\}/g, title || '').trim(), box.width - size, size);
+    if (!bannerText) return '';
+    return `,drawtext=${fontOption()}text=${escapeDrawtext(bannerText)}:expansion=none:fontsize=${size}:fontcolor=${textColor}` +
+      `:x=${box.x}+(${box.width}-text_w)/2:y=${box.y}+(${box.height}-text_h)/2${enable ? `:enable='${enable}'` : ''}`;
+  };
+
+  let banner = `[${canvas}]drawbox=x=${box.x}:y=${box.y}:w=${box.width}:h=${box.height}:color=${color}:t=fill`;
+  if (windows) {
+    // Sequential mode: show the title of whichever meme is on screen
+    banner += windows.map((window, i) => drawText(titles[i], `between(t,${window.start},${window.end})`)).join('');
+  } else {
+    banner += drawText(titles[slot]);
+  }
+  return `${banner}[${target.label('banner')}]`;
+}
+
+/**
+ * Filter chain that scales a meme to fit a box, keeping its aspect ratio,
+ * with an optional caption and credit band underneath
+ * @param {string} input - Filter label of the meme's video (e.g. "1:v")
+ * @param {Object} box - Box in pixels
+ * @param {string|null} credit - Credit line, or null
+ * @param {string|null} title - Meme title, shown as its caption when CAPTIONS=true
+ * @param {Object|null} movement - { motion, anchor, duration, fps } when the meme zooms or fades in
+ * @returns {string} Filter chain (no output label)
+ */
+function memeFilter(input, box, credit, title = null, movement = null) {
+  const caption = getCaption(title, box.width);
+  const creditBand = credit ? CREDIT_HEIGHT : 0;
+  const band = creditBand + (caption ? caption.height : 0);
+  const imageHeight = Math.max(2, box.height - band);
+  let meme = `[${input}]scale=${box.width}:${imageHeight}:force_original_aspect_ratio=decrease,setsar=1`;
+  if (movement) {
+    // Zooms fill the whole image area, so the text band stays put underneath
+    const { anchor, duration, fps } = movement;
+    meme += motion.zoomFilter(movement.motion, { width: box.width, height: imageHeight }, anchor, { fps, duration });
+  }
+  if (band) {
+    // Transparent band under the meme, wide enough for its text
+    const bandWidth = caption ? box.width : Math.min(box.width, 600);
+    meme += `,format=rgba,pad=max(iw\\,${bandWidth}):ih+${band}:(ow-iw)/2:0:color=black@0`;
+    if (caption) meme += `,${captionFilters(caption, band).join(',')}`;
+    if (credit) meme += `,${creditFilter(credit)}`;
+  }
+  if (movement) {
+    meme += motion.fadeFilter(movement.motion);
+  }
+  return meme;
+}
+
+/**
+ * Overlay position of a meme inside its box, plus any slide or bob/shake movement
+ * @param {Object} box - Box in pixels
+ * @param {Object} anchor - { x, y } fractions
+ * @param {Object|null} memeMotion - Meme motion (see motion.js)
+ * @param {Object} canvas - { width, height } of the output
+ * @returns {string} overlay x:y options
+ */
+function overlayPosition(box, anchor, memeMotion, canvas) {
+  const x = `${box.x}+(${box.width}-w)*${anchor.x}`;
+  const y = `${box.y}+(${box.height}-h)*${anchor.y}`;
+  const offsets = memeMotion ? motion.positionOffsets(memeMotion, box, canvas) : { x: '', y: '' };
+  if (!offsets.x && !offsets.y) {
+    return `${x}:${y}`;
+  }
+  return `x='${x}${offsets.x}':y='${y}${offsets.y}'`;
+}
+
+/**
+ * Build the video part of the filter graph from a layout template
+ * @param {Object} layout - Layout template (see layouts.js)
+ * @param {Object} options - Per-slot extras
+ * @param {Array<string|null>} options.credits - Credit line of each slot
+ * @param {Array<string|null>} options.titles - Title of each slot's meme (for banner text and captions)
+ * @param {Object} options.background - Background { mode, path } (default: gameplay)
+ * @param {Array<Object>} options.motions - Motion of each slot's meme (see motion.js)
+ * @param {number} options.duration - Video length in seconds (default: 15)
+ * @param {Object} options.target - Output canvas and labels (default: CONFIG size, see createTarget)
+ * @returns {string[]} Filters; the background is input 0, memes are inputs 1..N, result is [vout]
+ */
+function buildLayoutFilters(layout, options = {}) {
+  const { credits = [], titles = [], background = null, motions = [], duration = CONFIG.duration, target = createTarget() } = options;
+  const { label } = target;
+
+  const filters = [backgroundFilter(background, duration, target)];
+  let canvas = label('bg');
+
+  if (layout.banner) {
+    filters.push(bannerFilter(layout, canvas, titles, null, target));
+    canvas = label('banner');
+  }
+
+  layout.slots.forEach((slot, i) => {
+    const box = layouts.resolveBox(slot.box, target.width, target.height);
+    const anchor = layouts.getAnchor(slot);
+    const movement = motion.isMoving(motions[i]) ? { motion: motions[i], anchor, duration, fps: target.fps } : null;
+    const meme = label(`meme${i + 1}`);
+    filters.push(`${memeFilter(target.input(i + 1), box, credits[i], titles[i], movement)}[${meme}]`);
+
+    // Place it inside the box at the slot's anchor
+    const next = label(i === layout.slots.length - 1 ? 'vout' : `layer${i + 1}`);
+    filters.push(`[${canvas}][${meme}]overlay=${overlayPosition(box, anchor, motions[i], target)}[${next}]`);
+    canvas = next;
+  });
+
+  return filters;
+}
+
+/**
+ * Work out how long each meme stays on screen in sequential mode
+ * @param {Array<string|null>} titles - Meme titles
+ * @param {Object} settings - CONFIG.sequence (or an override)
+ * @param {number[]} minimums - Seconds each meme needs at least, e.g. for its narration
+ * @returns {number[]} Seconds per meme, including its share of the transitions
+ */
+function getSlideDurations(titles, settings = CONFIG.sequence, minimums = []) {
+  const { slideDuration, minSlideDuration, maxSlideDuration, readingSpeed, transitionDuration, maxDuration } = settings;
+
+  let durations = titles.map((title, i) => {
+    const needed = minimums[i] ? minimums[i] + transitionDuration : 0;
+    if (slideDuration) return Math.max(slideDuration, needed);
+    // Time to read the title, on top of a minimum look at the meme itself
+    const reading = minSlideDuration + (title || '').length / readingSpeed;
+    return Math.max(Math.min(maxSlideDuration, Math.max(minSlideDuration, reading)), needed);
+  });
+
+  // Squeeze everything into the Shorts length limit
+  const total = durations.reduce((sum, d) => sum + d, 0) - (durations.length - 1) * transitionDuration;
+  if (total > maxDuration) {
+    const scale = (maxDuration + (durations.length - 1) * transitionDuration) / (total + (durations.length - 1) * transitionDuration);
+    durations = durations.map(d => d * scale);
+  }
+
+  // Each slot must outlast the transitions into and out of it
+  return durations.map(d => Number(Math.max(d, transitionDuration * 2 + 0.5).toFixed(2)));
+}
+
+/**
+ * Work out when each meme is on screen in sequential mode
+ * @param {number[]} durations - Seconds per meme (see getSlideDurations)
+ * @returns {Object[]} { start, end } per meme; segment i starts while segment i-1 is still fading out
+ */
+function getSlideWindows(durations) {
+  const fade = CONFIG.sequence.transitionDuration;
+  const windows = [];
+  durations.forEach((duration, i) => {
+    const start = i === 0 ? 0 : windows[i - 1].end - fade;
+    windows.push({ start: Number(start.toFixed(2)), end: Number((start + duration).toFixed(2)) });
+  });
+  return windows;
+}
+
+/**
+ * Resolve the xfade transition to use between two memes
+ * @param {string} name - Name from SEQUENCE_TRANSITION ('random' picks one per cut)
+ * @param {Function} random - Random number generator for 'random' (see motion.createRandom)
+ * @returns {string} FFmpeg xfade transition
+ */
+function resolveTransition(name, random = Math.random) {
+  if (name === 'random') {
+    const names = Object.values(TRANSITIONS);
+    return names[Math.floor(random() * names.length)];
+  }
+  // Also accept FFmpeg's own names, e.g. "slideup" or "circleopen"
+  return TRANSITIONS[name] || name;
+}
+
+/**
+ * Build the video part of the filter graph for sequential mode: every meme is
+ * rendered as a full-frame transparent segment, the segments are joined with
+ * xfade, and the result is overlaid on the background
+ * @param {Object} layout - Layout whose slots the memes take turns in
+ * @param {Object} options - Per-meme extras
+ * @param {number[]} options.durations - Seconds per meme (see getSlideDurations)
+ * @param {Array<string|null>} options.credits - Credit line of each meme
+ * @param {Array<string|null>} options.titles - Title of each meme (for banner text and captions)
+ * @param {Object} options.background - Background { mode, path } (default: gameplay)
+ * @param {Array<Object>} options.motions - Motion of each meme (see motion.js)
+ * @param {string[]} options.transitions - xfade transition into each meme after the first
+ *   (default: from SEQUENCE_TRANSITION)
+ * @param {Object} options.target - Output canvas and labels (default: CONFIG size, see createTarget)
+ * @returns {Object} { filters, windows: [{ start, end }], duration }
+ */
+function buildSequenceFilters(layout, options = {}) {
+  const { durations, credits = [], titles = [], background = null, motions = [], target = createTarget() } = options;
+  const { width: outputWidth, height: outputHeight, fps, label } = target;
+  const fade = CONFIG.sequence.transitionDuration;
+  const transitions = options.transitions || durations.slice(1).map(() => resolveTransition(CONFIG.sequence.transition));
+
+  const windows = getSlideWindows(durations);
+  const totalDuration = windows[windows.length - 1].end;
+
+  const filters = [backgroundFilter(background, totalDuration, target)];
+  let canvas = label('bg');
+
+  if (layout.banner) {
+    filters.push(bannerFilter(layout, canvas, titles, windows, target));
+    canvas = label('banner');
+  }
+
+  durations.forEach((duration, i) => {
+    const slot = layout.slots[i % layout.slots.length];
+    const box = layouts.resolveBox(slot.box, outputWidth, outputHeight);
+    const anchor = layouts.getAnchor(slot);
+    const movement = motion.isMoving(motions[i]) ? { motion: motions[i], anchor, duration, fps } : null;
+    const meme = memeFilter(target.input(i + 1), box, credits[i], titles[i], movement);
+    const segment = `fps=${fps},trim=duration=${duration},setpts=PTS-STARTPTS,format=yuva420p,settb=AVTB[${label(`seg${i}`)}]`;
+
+    const position = overlayPosition(box, anchor, motions[i], target);
+    if (position.startsWith('x=')) {
+      // Moving memes: overlay on a transparent full frame, which allows a position per frame
+      filters.push(`color=c=black@0:s=${outputWidth}x${outputHeight}:r=${fps}:d=${duration},format=yuva420p[${label(`frame${i}`)}]`);
+      filters.push(`${meme}[${label(`meme${i + 1}`)}]`);
+      filters.push(`[${label(`frame${i}`)}][${label(`meme${i + 1}`)}]overlay=${position},${segment}`);
+    } else {
+      // Pad to a transparent full frame with the meme at its anchor, cut to its slot length
+      filters.push(
+        `${meme},format=rgba,` +
+        `pad=${outputWidth}:${outputHeight}:${box.x}+(${box.width}-iw)*${anchor.x}:${box.y}+(${box.height}-ih)*${anchor.y}:color=black@0,` +
+        segment
+      );
+    }
+  });
+
+  // Chain the transitions: [seg0][seg1] → [x1], [x1][seg2] → [x2], ...
+  let sequence = label('seg0');
+  for (let i = 1; i < durations.length; i++) {
+    filters.push(`[${sequence}][${label(`seg${i}`)}]xfade=transition=${transitions[i - 1]}:duration=${fade}:offset=${windows[i].start}[${label(`x${i}`)}]`);
+    sequence = label(`x${i}`);
+  }
+
+  filters.push(`[${canvas}][${sequence}]overlay=0:0[${label('vout')}]`);
+  return { filters, windows, duration: totalDuration };
+}
+
+/**
+ * Work out what the configured render mode needs from the fetch step
+ * @returns {Object} { mode, layout, memeCount }
+ */
+function getRenderPlan() {
+  if (CONFIG.mode === 'sequential') {
+    return { mode: 'sequential', layout: layouts.getLayout(CONFIG.sequence.layout), memeCount: CONFIG.sequence.count };
+  }
+  if (CONFIG.mode !== 'layout') {
+    throw new Error(`Unknown RENDER_MODE "${CONFIG.mode}" (use layout or sequential)`);
+  }
+  const layout = layouts.getLayout();
+  return { mode: 'layout', layout, memeCount: layout.slots.length };
+}
+
+/**
+ * Check whether a media file has an audio stream
+ * @param {string} filePath - Media file path
+ * @returns {Promise<boolean>} True if ffprobe finds an audio stream
+ */
+function hasAudioStream(filePath) {
+  return new Promise(resolve => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        resolve(false);
+        return;
+      }
+      resolve(metadata.streams.some(stream => stream.codec_type === 'audio'));
+    });
+  });
+}
+
+/**
+ * Create the final video using FFmpeg, placing the memes with a layout template
+ * @param {Object|string} backgroundInput - Background from backgroundModes.chooseBackground(),
+ *   or the path of a gameplay video
+ * @param {string[]} memePaths - Meme files (images, GIFs or clips), in slot order
+ * @param {string} outputPath - Output video path
+ * @param {string|null} musicPath - Optional music track
+ * @param {Object} options - Render options
+ * @param {string} options.mode - 'layout' or 'sequential' (default: RENDER_MODE)
+ * @param {Object} options.layout - Layout template (default: from getRenderPlan())
+ * @param {number[]} options.durations - Sequential mode: seconds per meme (default: from titles and narration)
+ * @param {Array<string|null>} options.memeAudioPaths - Audio of each clip meme (aligned with memePaths)
+ * @param {Array<string|null>} options.creditLines - Credit line of each meme, drawn when CREDIT_LINE=true
+ * @param {Array<string|null>} options.titles - Title of each meme, used by banner layouts, captions and the hook
+ * @param {number} options.seed - Seed for random motion choices (default: MOTION_SEED, else a new one)
+ * @param {string|string[]} options.profiles - Output profiles to render (default: OUTPUT_PROFILES, see profiles.js)
+ * @param {string|string[]} options.bumpers - Intro/outro segments to add (default: BUMPERS, see bumpers.js)
+ * @returns {Promise<string>} Path of the main (first profile's) video
+ */
+async function createVideo(backgroundInput, memePaths, outputPath, musicPath = null, options = {}) {
+  // Settings only used once the render is done are checked before it starts
+  subtitles.getFormats();
+
+  const background = typeof backgroundInput === 'string' ? { mode: 'gameplay', path: backgroundInput } : backgroundInput;
+  const gameplay = background.mode === 'gameplay';
+  const plan = options.layout ? null : getRenderPlan();
+  const { mode = plan ? plan.mode : CONFIG.mode, layout = plan.layout, memeAudioPaths = [], creditLines = [], titles = [] } = options;
+  const sequential = mode === 'sequential';
+  // Sequential mode shows every meme it is given (up to 10); layout mode fills the layout's slots
+  const slotCount = sequential ? Math.min(memePaths.length, 10) : layout.slots.length;
+  if (memePaths.length === 0 || memePaths.length < slotCount) {
+    throw new Error(`Layout "${layout.name}" needs ${slotCount || 1} meme(s), got ${memePaths.length}`);
+  }
+
+  const slotPaths = memePaths.slice(0, slotCount);
+  const credits = CONFIG.creditLine ? creditLines.slice(0, slotCount) : [];
+  const clipAudioPaths = memeAudioPaths.slice(0, slotCount).filter(Boolean);
+  // Only gameplay footage brings its own sound
+  const backgroundHasAudio = gameplay ? await hasAudioStream(background.path) : false;
+
+  // Every profile renders the same memes; the layout follows each profile's shape
+  const renders = profiles.getProfiles(options.profiles).map((profile, i, all) => {
+    const profileLayout = layouts.forCanvas(layout, profile.width, profile.height);
+    return {
+      profile,
+      layout: profileLayout,
+      target: createTarget(profile, all.length > 1 ? `p${i}` : ''),
+      outputPath: profiles.getProfileOutputPath(outputPath, profile, i),
+    };
+  });
+  // Intro and outro count towards each platform's length limit
+  const bumperSegments = await bumpers.prepareBumpers(options.bumpers);
+  const bumperDuration = bumpers.getBumperDuration(bumperSegments);
+  renders.forEach(render => {
+    render.maxDuration = Number((render.profile.maxDuration - bumperDuration).toFixed(2));
+    if (render.maxDuration < MIN_COMPOSITION_DURATION) {
+      throw new Error(`Bumpers take ${bumperDuration}s of the ${render.profile.maxDuration}s limit of "${render.profile.name}", leaving less than ${MIN_COMPOSITION_DURATION}s for the memes`);
+    }
+  });
+  // The composition is made for the longest limit; each output is cut to its own
+  const maxDuration = Math.max(...renders.map(render => render.maxDuration));
+
+  // Same seed, same motion and transitions: logged so a render can be reproduced with MOTION_SEED
+  const seed = motion.getSeed(options.seed);
+  const getMotions = (slotLayout, random) => slotPaths.map((memePath, i) => motion.resolveMotion(
+    slotLayout.slots[i % slotLayout.slots.length], i, random, { animated: isAnimated(memePath), sequential }
+  ));
+  // Every output replays the same picks; the first one's stream goes on to the transitions
+  const random = motion.createRandom(seed);
+  renders.forEach((render, i) => {
+    render.motions = getMotions(render.layout, i === 0 ? random : motion.createRandom(seed));
+  });
+  const randomTransitions = sequential && CONFIG.sequence.transition === 'random';
+  const motions = renders[0].motions;
+
+  console.log(`\n🎬 Starting video composition...`);
+  console.log(`   Background: ${backgroundModes.describeBackground(background)}`);
+  console.log(`   Layout: ${layout.name}${sequential ? ` (sequential, ${CONFIG.sequence.transition} transitions)` : ''}`);
+  slotPaths.forEach((memePath, i) => {
+    const moving = motion.isMoving(motions[i]) ? `, ${motion.describeMotion(motions[i])}` : '';
+    console.log(`   Meme ${i + 1}: ${path.basename(memePath)}${isAnimated(memePath) ? ' (animated, looped)' : ''}${moving}`);
+  });
+  if (randomTransitions || renders.some(render => render.motions.some(motion.isMoving))) {
+    console.log(`   Motion seed: ${seed}`);
+  }
+  renders.forEach(render => {
+    const variant = render.layout.aspect ? `, ${render.layout.aspect} layout` : '';
+    console.log(`   Output: ${path.relative(path.dirname(outputPath), render.outputPath)} (${profiles.describeProfile(render.profile)}${variant})`);
+  });
+  if (musicPath) {
+    console.log(`   Music: ${path.basename(musicPath)}`);
+  }
+  if (bumperSegments.length > 0) {
+    console.log(`   Bumpers: ${bumpers.describeBumpers(bumperSegments)}`);
+  }
+  if (credits.some(Boolean)) {
+    console.log(`   Credits: ${credits.filter(Boolean).join(', ')}`);
+  }
+
+  const complexFilter = [];
+  if (renders.length > 1) {
+    // Decode each input once and give every output its own copy
+    for (let input = 0; input <= slotCount; input++) {
+      complexFilter.push(`[${input}:v]split=${renders.length}${renders.map(render => `[${render.target.input(input)}]`).join('')}`);
+    }
+  }
+
+  // Random picks are made once, so every output shows the same video
+  const slotTitles = titles.slice(0, slotCount);
+  const hook = renderHook(TEXT_CONFIG.hook.template, { count: slotCount, titles: slotTitles });
+  const transitions = slotPaths.slice(1).map(() => resolveTransition(CONFIG.sequence.transition, random));
+
+  // Narration is spoken first: its length can stretch the slots
+  const narrationClips = narration.NARRATION_CONFIG.enabled
+    ? await narration.prepareNarration({ hook, count: slotCount, titles: slotTitles })
+    : null;
+
+  // Everything from here to the end of the render can fail: don't leave the clips behind
+  try {
+    const durations = sequential
+      ? options.durations || getSlideDurations(
+        slotPaths.map((_, i) => titles[i] || null),
+        { ...CONFIG.sequence, maxDuration: Math.min(CONFIG.sequence.maxDuration, maxDuration) },
+        narrationClips ? narration.getSlotMinimums(narrationClips, slotCount) : []
+      )
+      : null;
+    const windows = sequential ? getSlideWindows(durations) : null;
+    let duration = sequential ? windows[windows.length - 1].end : Math.min(CONFIG.duration, maxDuration);
+
+    // Each title is read once its meme is on screen (after the transition or entrance)
+    let narrationCues = [];
+    if (narrationClips) {
+      const reveals = slotPaths.map((_, i) => (sequential
+        ? windows[i].start + (i > 0 ? CONFIG.sequence.transitionDuration : 0)
+        : motions[i].entrance !== 'none' ? motions[i].delay : 0));
+      narrationCues = narration.scheduleNarration(narrationClips, reveals, sequential ? duration : maxDuration);
+      if (!sequential && narrationCues.length > 0) {
+        // A layout video runs on until the narration has finished
+        duration = Math.min(maxDuration, Math.max(duration, Number((narrationCues[narrationCues.length - 1].end + 1).toFixed(2))));
+      }
+    }
+    const subtitleCues = subtitles.getCues({ narration: narrationCues, titles: slotTitles, windows, duration });
+    // Sidecar cues are timed from the start of the intro
+    const introDuration = bumpers.getBumperDuration(bumperSegments, 'intro');
+    const burnedCues = subtitles.getBurnInCues(subtitleCues);
+    renders.forEach(render => {
+      render.duration = Math.min(duration, render.maxDuration);
+      if (render.duration < duration) {
+        console.log(`   ✂️ ${render.profile.name}: cut to ${render.duration}s (its maxDuration)`);
+      }
+    });
+
+    renders.forEach(render => {
+      const { target } = render;
+      if (sequential) {
+        const sequence = buildSequenceFilters(render.layout, {
+          durations,
+          credits,
+          titles: slotTitles,
+          background,
+          motions: render.motions,
+          transitions,
+          target,
+        });
+        complexFilter.push(...sequence.filters);
+      } else {
+        complexFilter.push(...buildLayoutFilters(render.layout, { credits, titles: slotTitles, background, motions: render.motions, duration, target }));
+      }
+
+      // Hook headline, subtitles and watermark go on top of everything
+      render.videoLabel = target.label('vout');
+      const textLayer = buildTextLayer({ width: target.width, height: target.height }, { hook, subtitles: burnedCues });
+      if (textLayer.length > 0) {
+        complexFilter.push(`[${render.videoLabel}]${textLayer.join(',')}[${target.label('vtext')}]`);
+        render.videoLabel = target.label('vtext');
+      }
+    });
+    if (windows) {
+      windows.forEach((window, i) => console.log(`   Slot ${i + 1}: ${window.start}s - ${window.end}s`));
+    }
+
+    // Generated backgrounds are made at the largest output size and cropped for the others
+    const backgroundInputSpec = backgroundModes.getBackgroundInput(background, {
+      memePath: slotPaths[0],
+      memeInputOptions: getLoopInputOptions(slotPaths[0], true),
+      width: Math.max(...renders.map(render => render.target.width)),
+      height: Math.max(...renders.map(render => render.target.height)),
+      fps: Math.max(...renders.map(render => render.target.fps)),
+      duration,
+    });
+    let backgroundOptions = backgroundInputSpec.inputOptions;
+
+    // Start somewhere new in the gameplay clip each time (see backgroundSegments.js)
+    let segment = { start: 0, loop: false };
+    if (gameplay) {
+      try {
+        segment = await backgroundSegments.selectSegment(background.path, duration);
+        console.log(`   Background segment: ${segment.start}s - ${(segment.start + duration).toFixed(1)}s of ${segment.duration.toFixed(1)}s${segment.loop ? ' (looped)' : ''}`);
+      } catch (error) {
+        console.log(`   ⚠️ ${error.message}, starting the background at 0s`);
+      }
+      backgroundOptions = segment.loop ? ['-stream_loop', '-1'] : ['-ss', String(segment.start)];
+    }
+
+    return await new Promise((resolve, reject) => {
+      const command = ffmpeg().input(backgroundInputSpec.source).inputOptions(backgroundOptions);
+      // Moving stills need a stream of frames to animate, like sequential mode
+      slotPaths.forEach((memePath, i) => {
+        const moving = renders.some(render => motion.isMoving(render.motions[i]));
+        command.input(memePath).inputOptions(getLoopInputOptions(memePath, sequential || moving));
+      });
+
+      // Audio inputs follow the memes: clip audio, then the music track (looped)
+      const firstClipInput = 1 + slotCount;
+      const clipSlots = memeAudioPaths.slice(0, slotCount)
+        .map((audioPath, slot) => (audioPath ? slot : null))
+        .filter(slot => slot !== null);
+      const clips = clipAudioPaths.map((audioPath, i) => {
+        command.input(audioPath).inputOptions(['-stream_loop', '-1']);
+        return { input: firstClipInput + i, window: windows ? windows[clipSlots[i]] : null };
+      });
+      const musicInput = musicPath ? firstClipInput + clipAudioPaths.length : null;
+      if (musicPath) {
+        command.input(musicPath).inputOptions(['-stream_loop', '-1']);
+      }
+
+      // Then one input per narration line
+      const firstNarrationInput = firstClipInput + clipAudioPaths.length + (musicPath ? 1 : 0);
+      const narrationLines = narrationCues.map((cue, i) => {
+        command.input(cue.path);
+        return { input: firstNarrationInput + i, start: cue.start };
+      });
+
+      const audio = buildAudioFilters({
+        gameplay: backgroundHasAudio ? 0 : null,
+        music: musicInput,
+        clips,
+        clipVolume: CONFIG.clipAudioVolume,
+        narration: narrationLines,
+        narrationVolume: narration.NARRATION_CONFIG.volume,
+        duration,
+      });
+      complexFilter.push(...audio.filters);
+      console.log(`   Audio: ${audio.description}`);
+
+      // One mix for all outputs, cut (and faded out) where an output ends early
+      const audioLabels = renders.map((_, i) => (renders.length > 1 ? `${audio.label}p${i}` : audio.label));
+      if (renders.length > 1) {
+        complexFilter.push(`[${audio.label}]asplit=${renders.length}${audioLabels.map(label => `[${label}]`).join('')}`);
+      }
+      renders.forEach((render, i) => {
+        render.audioLabel = audioLabels[i];
+        if (render.duration < duration) {
+          const fade = Math.min(AUDIO_CONFIG.fadeDuration, render.duration / 4);
+          complexFilter.push(`[${render.audioLabel}]atrim=duration=${render.duration},afade=t=out:st=${(render.duration - fade).toFixed(2)}:d=${fade}[${render.target.label('acut')}]`);
+          render.audioLabel = render.target.label('acut');
+        }
+      });
+
+      // Bumper inputs come last: a sting clip (its own sound included), then a sound file
+      let nextInput = firstNarrationInput + narrationLines.length;
+      const bumperInputs = {};
+      bumperSegments.forEach(segment => {
+        const inputs = { clip: null, audio: null };
+        if (segment.clip) {
+          command.input(segment.clip);
+          inputs.clip = nextInput++;
+          if (segment.clipHasAudio) {
+            inputs.audio = inputs.clip;
+          }
+        }
+        if (segment.audio) {
+          command.input(segment.audio);
+          inputs.audio = nextInput++;
+        }
+        if (renders.length > 1) {
+          // Each output joins its own copy
+          if (inputs.clip !== null) {
+            complexFilter.push(`[${inputs.clip}:v]split=${renders.length}${renders.map(render => `[${render.target.input(inputs.clip)}]`).join('')}`);
+          }
+          if (inputs.audio !== null) {
+            complexFilter.push(`[${inputs.audio}:a]asplit=${renders.length}${renders.map(render => `[${render.target.audioInput(inputs.audio)}]`).join('')}`);
+          }
+        }
+        bumperInputs[segment.name] = inputs;
+      });
+
+      if (bumperSegments.length > 0) {
+        renders.forEach(render => {
+          const joined = bumpers.buildBumperFilters(bumperSegments, bumperInputs, {
+            video: render.videoLabel,
+            audio: render.audioLabel,
+            duration: render.duration,
+          }, render.target);
+          complexFilter.push(...joined.filters);
+          render.videoLabel = joined.video;
+          render.audioLabel = joined.audio;
+        });
+      }
+
+      command.complexFilter(complexFilter.join(';'));
+
+      renders.forEach(render => {
+        const { profile } = render;
+        command
+          .output(render.outputPath)
+          .outputOptions([
+            '-map', `[${render.videoLabel}]`,
+            '-c:v', 'libx264',
+            '-preset', 'medium',
+            '-crf', '23',
+            ...profiles.getEncodingOptions(profile),
+            '-pix_fmt', 'yuv420p',
+            '-t', String(Number((render.duration + bumperDuration).toFixed(2))),
+            '-r', String(profile.fps),
+            '-map', `[${render.audioLabel}]`,
+            '-c:a', 'aac',
+            '-b:a', profile.audioBitrate,
+            '-ar', String(profile.sampleRate),
+          ]);
+      });
+
+      command
+        .on('start', (cmdline) => {
+          console.log(`\n📝 FFmpeg command started...`);
+        })
+        .on('progress', (progress) => {
+          if (progress.percent) {
+            process.stdout.write(`\r⏳ Processing: ${Math.round(progress.percent)}%`);
+          }
+        })
+        .on('end', () => {
+          narration.cleanupNarration(narrationClips);
+          if (segment.duration) {
+            backgroundSegments.markSegmentUsed(background.path, segment.start, duration);
+          }
+          console.log(`\n\n✅ Video created successfully!`);
+          try {
+            renders.forEach(render => {
+              console.log(`📁 Output: ${render.outputPath}`);
+              // Same timing in every profile, up to where each video is cut
+              const cues = subtitles.offsetCues(subtitles.trimCues(subtitleCues, render.duration), introDuration);
+              subtitles.writeSubtitles(render.outputPath, cues)
+                .forEach(file => console.log(`💬 Subtitles: ${file}`));
+            });
+          } catch (error) {
+            reject(new Error(`Could not write subtitles: ${error.message}`));
+            return;
+          }
+          resolve(outputPath);
+        })
+        .on('error', (err, stdout, stderr) => {
+          console.error(`\n❌ FFmpeg error: ${err.message}`);
+          if (stderr) {
+            console.error(`FFmpeg stderr: ${stderr}`);
+          }
+          reject(err);
+        })
+        .run();
+    });
+  } catch (error) {
+    narration.cleanupNarration(narrationClips);
+    throw error;
+  }
+}
+
+module.exports = {
+  CONFIG,
+  isAnimated,
+  escapeDrawtext,
+  buildLayoutFilters,
+  buildSequenceFilters,
+  getSlideDurations,
+  getRenderPlan,
+  createTarget,
+  createVideo,
+};
@@ -0,0 +1,188 @@
+/**
+ * Content Safety Module
+ *
+ * Filters fetched posts before they can end up in a video: NSFW, spoilers,
+ * removed or stickied posts, flair allow/deny lists and a title blocklist.
+ *
+ * The policy lives in config/safety.json (override with SAFETY_CONFIG).
+ * Every key is optional; per-source overrides replace top-level values:
+ *
+ *   {
+ *     "excludeNsfw": true,
+ *     "excludeSpoilers": true,
+ *     "excludeRemoved": true,
+ *     "excludeStickied": true,
+ *     "allowFlairs": [],
+ *     "denyFlairs": ["Politics"],
+ *     "blockedKeywords": ["nsfw"],
+ *     "blockedPatterns": ["/\\bgore\\b/i"],
+ *     "overrides": {
+ *       "r/HistoryMemes": { "denyFlairs": ["Meta"] }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAFETY_CONFIG_PATH = process.env.SAFETY_CONFIG || path.join(__dirname, 'config', 'safety.json');
+
+const DEFAULT_POLICY = {
+  excludeNsfw: true,
+  excludeSpoilers: true,
+  excludeRemoved: true,
+  excludeStickied: true,
+  allowFlairs: [],
+  denyFlairs: [],
+  blockedKeywords: [],
+  blockedPatterns: [],
+  overrides: {},
+};
+
+const LIST_KEYS = ['allowFlairs', 'denyFlairs', 'blockedKeywords', 'blockedPatterns'];
+
+let cachedPolicy = null;
+
+// Compiled expressions by source string: every candidate of every fetch is checked against the same lists
+const compiledPatterns = new Map();
+const compiledKeywords = new Map();
+
+/**
+ * Turn "/pattern/flags" or a bare pattern into a RegExp (case-insensitive by default, cached)
+ * @param {string} pattern - Pattern string
+ * @returns {RegExp} Compiled expression
+ */
+function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    const match = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      // g and y would make the shared expression's test() depend on the previous title
+      compiledPatterns.set(pattern, match ? new RegExp(match[1], match[2].replace(/[gy]/g, '')) : new RegExp(pattern, 'i'));
+    } catch (error) {
+      throw new Error(`Invalid blockedPatterns entry "${pattern}" in ${SAFETY_CONFIG_PATH}: ${error.message}`);
+    }
+  }
+  return compiledPatterns.get(pattern);
+}
+
+/**
+ * Build the expression that finds a blocked keyword as a whole word (cached)
+ * @param {string} word - Keyword
+ * @returns {RegExp} Case-insensitive expression
+ */
+function compileKeyword(word) {
+  if (!compiledKeywords.has(word)) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    compiledKeywords.set(word, new RegExp(`(^|\\W)${escaped}(\\W|$)`, 'i'));
+  }
+  return compiledKeywords.get(word);
+}
+
+/**
+ * Check a policy object for mistakes that would silently disable a rule
+ */
+function validatePolicy(policy, where) {
+  LIST_KEYS.forEach(key => {
+    if (policy[key] !== undefined && !Array.isArray(policy[key])) {
+      throw new Error(`"${key}" must be an array in ${where}`);
+    }
+  });
+  (policy.blockedPatterns || []).forEach(compilePattern);
+}
+
+/**
+ * Load the safety policy (defaults merged with config/safety.json)
+ * @returns {Object} Policy
+ */
+function loadPolicy() {
+  if (cachedPolicy) {
+    return cachedPolicy;
+  }
+
+  let fileConfig = {};
+  if (fs.existsSync(SAFETY_CONFIG_PATH)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(SAFETY_CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${SAFETY_CONFIG_PATH}: ${error.message}`);
+    }
+  }
+
+  validatePolicy(fileConfig, SAFETY_CONFIG_PATH);
+  Object.entries(fileConfig.overrides || {}).forEach(([source, override]) => {
+    validatePolicy(override, `overrides["${source}"] of ${SAFETY_CONFIG_PATH}`);
+  });
+
+  cachedPolicy = { ...DEFAULT_POLICY, ...fileConfig };
+  return cachedPolicy;
+}
+
+/**
+ * Get the effective policy for a source (top-level policy + its override)
+ * @param {string} sourceLabel - Source label, e.g. "r/funny"
+ * @returns {Object} Effective policy
+ */
+function getPolicyForSource(sourceLabel) {
+  const { overrides, ...policy } = loadPolicy();
+  return { ...policy, ...(overrides[sourceLabel] || {}) };
+}
+
+/**
+ * Check a candidate against a policy
+ * @param {Object} candidate - Meme candidate (see sources.js)
+ * @param {Object} policy - Effective policy
+ * @returns {string|null} Rejection reason, or null if the candidate is allowed
+ */
+function checkCandidate(candidate, policy) {
+  const flair = (candidate.flair || '').trim().toLowerCase();
+  const title = candidate.title || '';
+  const inList = (list, value) => list.some(item => item.toLowerCase() === value);
+
+  if (policy.excludeRemoved && candidate.removed) return 'removed post';
+  if (policy.excludeStickied && candidate.stickied) return 'stickied post';
+  if (policy.excludeNsfw && candidate.nsfw) return 'NSFW';
+  if (policy.excludeSpoilers && candidate.spoiler) return 'spoiler';
+
+  if (policy.allowFlairs.length > 0 && !inList(policy.allowFlairs, flair)) {
+    return `flair "${candidate.flair || '(none)'}" not in allow list`;
+  }
+  if (flair && inList(policy.denyFlairs, flair)) {
+    return `flair "${candidate.flair}" is denied`;
+  }
+
+  const keyword = policy.blockedKeywords.find(word => compileKeyword(word).test(title));
+  if (keyword) return `title contains blocked keyword "${keyword}"`;
+
+  const pattern = policy.blockedPatterns.find(p => compilePattern(p).test(title));
+  if (pattern) return `title matches blocked pattern ${pattern}`;
+
+  return null;
+}
+
+/**
+ * Split candidates into allowed posts and logged rejections
+ * @param {Object[]} candidates - Candidates from one source
+ * @param {string} sourceLabel - Label of the source (selects overrides)
+ * @returns {Object[]} Allowed candidates, in original order
+ */
+function filterCandidates(candidates, sourceLabel) {
+  const policy = getPolicyForSource(sourceLabel);
+
+  return candidates.filter(candidate => {
+    const reason = checkCandidate(candidate, policy);
+    if (reason) {
+      console.log(`   🚫 Blocked "${(candidate.title || '').substring(0, 40)}" (${candidate.id}): ${reason}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  SAFETY_CONFIG_PATH,
+  DEFAULT_POLICY,
+  loadPolicy,
+  getPolicyForSource,
+  checkCandidate,
+  filterCandidates,
+};
@@ -21,6 +21,14 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const uploader = require('./uploader');
+const { fetchAndDownloadMemes, getSlotFiles } = require('./memeFetcher');
+const { createVideo, getRenderPlan } = require('./renderer');
+const history = require('./history');
+const attribution = require('./attribution');
+const catalog = require('./assetCatalog');
+const backgroundModes = require('./backgroundModes');
+const thumbnail = require('./thumbnail');
+const subtitles = require('./subtitles');
 
 // Configuration
 const CONFIG = {
@@ -42,6 +50,13 @@ function parseArgs() {
     command,
     count: parseInt(args.find((_, i) => args[i - 1] === '--count') || 6),
     dryRun: args.includes('--dry-run'),
+    subcommand: args[1] && !args[1].startsWith('--') ? args[1] : 'list',
+    target: args[2],
+    values: args.slice(3).filter(arg => !arg.startsWith('--')),
+    days: parseInt(args.find((_, i) => args[i - 1] === '--days')),
+    limit: parseInt(args.find((_, i) => args[i - 1] === '--limit') || 20),
+    background: args.find((_, i) => args[i - 1] === '--background'),
+    profiles: args.find((_, i) => args[i - 1] === '--profiles'),
   };
 }
 
@@ -113,21 +128,8 @@ function getPendingVideos() {
 /**
  * Generate a single video
  */
-async function generateSingleVideo() {
-  const ffmpeg = require('fluent-ffmpeg');
-  const axios = require('axios');
-  
+async function generateSingleVideo(options = {}) {
   const indexConfig = {
-    memeSources: [
-      'r/memes', 'r/dankmemes', 'r/funny', 'r/rareinsults', 'r/clevercomebacks',
-      'r/murderedbywords', 'r/facepalm', 'r/HistoryMemes', 'r/ProgrammerHumor',
-      'r/MinecraftMemes', 'r/ROBLOXmemes', 'r/wholesomememes',
-      'u/The-LSD-Sheet-Guy', 'u/BoredomFestival', 'u/misthi_S', 'u/Idea99', 'u/Beer_Is_Good_V_2',
-    ],
-    outputWidth: parseInt(process.env.OUTPUT_WIDTH) || 1080,
-    outputHeight: parseInt(process.env.OUTPUT_HEIGHT) || 1920,
-    backgroundsDir: path.join(__dirname, 'assets', 'backgrounds'),
-    musicDir: path.join(__dirname, 'assets', 'music'),
     outputDir: CONFIG.outputDir,
     tempDir: CONFIG.tempDir,
   };
@@ -137,140 +139,35 @@ async function generateSingleVideo() {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   });
   
-  // Helper functions
-  function getRandomFileFromDir(dirPath, extensions = []) {
-    if (!fs.existsSync(dirPath)) return null;
-    let files = fs.readdirSync(dirPath);
-    if (extensions.length > 0) {
-      files = files.filter(file => extensions.some(ext => file.toLowerCase().endsWith(ext)));
-    }
-    files = files.filter(file => !file.startsWith('.'));
-    if (files.length === 0) return null;
-    return path.join(dirPath, files[Math.floor(Math.random() * files.length)]);
-  }
-  
-  async function fetchMemeFromSource(source) {
-    const isUser = source.startsWith('u/');
-    const name = source.substring(2);
-    const url = isUser
-      ? `https://www.reddit.com/user/${name}/submitted.json?limit=25&sort=top&t=day`
-      : `https://www.reddit.com/r/${name}/top.json?limit=25&t=day`;
-    
-    try {
-      const response = await axios.get(url, { headers: { 'User-Agent': 'MemeVideoBot/1.0' } });
-      const posts = response.data.data.children;
-      const imagePosts = posts.filter(post => {
-        const postUrl = post.data.url || '';
-        return postUrl.includes('i.redd.it') || postUrl.includes('i.imgur.com') ||
-               postUrl.endsWith('.jpg') || postUrl.endsWith('.jpeg') ||
-               postUrl.endsWith('.png') || postUrl.endsWith('.gif');
-      });
-      if (imagePosts.length === 0) return null;
-      const post = imagePosts[Math.floor(Math.random() * Math.min(5, imagePosts.length))].data;
-      return { title: post.title, url: post.url, author: post.author, source };
-    } catch { return null; }
-  }
-  
-  async function fetchMemes(count) {
-    const memes = [];
-    const triedSources = new Set();
-    while (memes.length < count && triedSources.size < indexConfig.memeSources.length) {
-      const availableSources = indexConfig.memeSources.filter(s => !triedSources.has(s));
-      const source = availableSources[Math.floor(Math.random() * availableSources.length)];
-      triedSources.add(source);
-      const meme = await fetchMemeFromSource(source);
-      if (meme) memes.push(meme);
-    }
-    if (memes.length < count) throw new Error(`Could only find ${memes.length} memes`);
-    return memes;
-  }
-  
-  async function downloadImage(url, outputPath) {
-    const response = await axios.get(url, {
-      responseType: 'arraybuffer',
-      headers: { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36' },
-      timeout: 30000,
-    });
-    
-    const buffer = Buffer.from(response.data);
-    
-    // Validate image signature
-    const isJPEG = buffer[0] === 0xFF && buffer[1] === 0xD8;
-    const isPNG = buffer[0] === 0x89 && buffer[1] === 0x50;
-    const isGIF = buffer[0] === 0x47 && buffer[1] === 0x49;
-    const isWEBP = buffer.length > 11 && buffer[8] === 0x57 && buffer[9] === 0x45;
-    
-    if (!isJPEG && !isPNG && !isGIF && !isWEBP) {
-      const preview = buffer.slice(0, 100).toString('utf-8').toLowerCase();
-      if (preview.includes('<html') || preview.includes('<!doctype')) {
-        throw new Error('Got HTML instead of image');
-      }
-      throw new Error('Invalid image format');
-    }
-    
-    // Correct extension
-    let correctedPath = outputPath;
-    if (isJPEG) correctedPath = outputPath.replace(/\.[^.]+$/, '.jpg');
-    else if (isPNG) correctedPath = outputPath.replace(/\.[^.]+$/, '.png');
-    else if (isGIF) correctedPath = outputPath.replace(/\.[^.]+$/, '.gif');
-    
-    fs.writeFileSync(correctedPath, buffer);
-    return correctedPath;
-  }
-  
   // Generate video
   console.log('🎬 Generating single video...\n');
   
-  const backgroundPath = getRandomFileFromDir(indexConfig.backgroundsDir, ['.mp4', '.mov', '.avi', '.mkv', '.webm']);
-  if (!backgroundPath) throw new Error('No background videos found');
-  console.log(`📹 Background: ${path.basename(backgroundPath)}`);
-  
-  const musicPath = getRandomFileFromDir(indexConfig.musicDir, ['.mp3', '.wav', '.aac', '.m4a']);
-  if (musicPath) console.log(`🎵 Music: ${path.basename(musicPath)}`);
-  
-  const memes = await fetchMemes(2);
+  const { mode, layout, memeCount } = getRenderPlan();
+  const memes = await fetchAndDownloadMemes(memeCount, {
+    dir: indexConfig.tempDir,
+    fileName: (meme, i) => `meme${i + 1}.jpg`,
+  });
   memes.forEach((m, i) => console.log(`📷 Meme ${i + 1}: "${m.title.substring(0, 50)}..."`));
   
-  const memePaths = [];
-  for (let i = 0; i < memes.length; i++) {
-    const ext = path.extname(memes[i].url) || '.jpg';
-    const tempPath = path.join(indexConfig.tempDir, `meme${i + 1}${ext}`);
-    await downloadImage(memes[i].url, tempPath);
-    memePaths.push(tempPath);
-  }
+  // Background and music that fit the memes' sources, least recently used first
+  const background = backgroundModes.chooseBackground({ memes, mode: options.background });
+  const musicKey = catalog.pickAsset('music', { memes });
+  
+  const { memePaths, memeAudioPaths, creditLines, titles } = getSlotFiles(memes);
   
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
   const outputPath = path.join(indexConfig.outputDir, `meme_video_${timestamp}.mp4`);
   
-  await new Promise((resolve, reject) => {
-    const { outputWidth, outputHeight } = indexConfig;
-    const complexFilter = [
-      `[0:v]scale=${outputWidth}:${outputHeight}:force_original_aspect_ratio=increase,crop=${outputWidth}:${outputHeight}[bg]`,
-      `[1:v]scale=1000:700:force_original_aspect_ratio=decrease,pad=max(iw\\,1000):ih+40:(ow-iw)/2:0:black@0[meme1]`,
-      `[2:v]scale=1000:700:force_original_aspect_ratio=decrease,pad=max(iw\\,1000):ih:(ow-iw)/2:0:black@0[meme2]`,
-      `[meme1][meme2]vstack=inputs=2[stacked]`,
-      `[bg][stacked]overlay=(W-w)/2:(H-h)/2`
-    ].join(';');
-    
-    let cmd = ffmpeg().input(backgroundPath).input(memePaths[0]).input(memePaths[1])
-      .complexFilter(complexFilter)
-      .outputOptions(['-c:v', 'libx264', '-preset', 'medium', '-crf', '23', '-pix_fmt', 'yuv420p', '-t', '15', '-r', '30']);
-    
-    if (musicPath) {
-      cmd.input(musicPath).outputOptions(['-map', '0:a', '-c:a', 'aac', '-b:a', '192k', '-shortest']);
-    } else {
-      cmd.outputOptions(['-map', '0:a?', '-c:a', 'aac', '-b:a', '192k', '-shortest']);
-    }
-    
-    cmd.output(outputPath)
-      .on('progress', p => p.percent && process.stdout.write(`\r⏳ ${Math.round(p.percent)}%`))
-      .on('end', () => { console.log('\n'); resolve(); })
-      .on('error', reject)
-      .run();
-  });
+  await createVideo(background, memePaths, outputPath, catalog.getAssetPath(musicKey), { mode, layout, memeAudioPaths, creditLines, titles, profiles: options.profiles });
+  await thumbnail.generateThumbnail(outputPath, { memePaths, titles });
+  
+  // Remember the memes so they are never rendered again; the ledger feeds the upload's credits
+  history.markUsed(memes, { videoPath: path.basename(outputPath) });
+  catalog.markUsed([background.key, musicKey]);
+  attribution.writeLedger(outputPath, memes);
   
   // Cleanup temp
-  memePaths.forEach(p => fs.existsSync(p) && fs.unlinkSync(p));
+  [...memePaths, ...memeAudioPaths].forEach(p => p && fs.existsSync(p) && fs.unlinkSync(p));
   
   console.log(`✅ Video created: ${path.basename(outputPath)}`);
   return outputPath;
@@ -284,6 +181,9 @@ function deleteVideo(videoPath) {
     fs.unlinkSync(videoPath);
     console.log(`🗑️  Deleted: ${path.basename(videoPath)}`);
   }
+  attribution.deleteLedger(videoPath);
+  thumbnail.deleteThumbnail(videoPath);
+  subtitles.deleteSubtitles(videoPath);
 }
 
 /**
@@ -355,6 +255,8 @@ Commands:
   upload        Upload all pending videos at peak US hours
   batch         Generate multiple videos + upload immediately
   status        Show pending videos count
+  history       List, prune or forget used memes
+  catalog       Scan, list or tag backgrounds, images and music
   help          Show this help
 
 Examples:
@@ -362,6 +264,15 @@ Examples:
   node scheduler.js upload            # Upload all pending
   node scheduler.js upload --dry-run  # Preview upload schedule
   node scheduler.js batch --count 6   # Old behavior: generate 6 + upload
+  node scheduler.js generate --background gradient  # No gameplay video needed (also: blur, image)
+  node scheduler.js generate --profiles shorts,tiktok,square  # Also render for other platforms (output/<profile>/)
+  node scheduler.js history                     # List the 20 most recently used memes
+  node scheduler.js history list --limit 50     # List more entries
+  node scheduler.js history prune --days 30     # Forget memes used more than 30 days ago
+  node scheduler.js history forget <id|url>     # Allow a specific meme to be used again
+  node scheduler.js catalog scan                # Index assets/backgrounds, assets/images and assets/music
+  node scheduler.js catalog list                # Show tags, usage and last use of every asset
+  node scheduler.js catalog tag <file> minecraft parkour   # Set an asset's tags
 
 Cron Setup (generate every 4 hours):
   0 */4 * * * cd ${__dirname} && node scheduler.js generate >> cron.log 2>&1
@@ -381,6 +292,87 @@ function showStatus() {
   }
 }
 
+/**
+ * Manage the used-meme history
+ */
+function manageHistory(args) {
+  switch (args.subcommand) {
+    case 'list': {
+      const entries = history.loadHistory();
+      console.log(`📜 Used memes: ${entries.length} (${history.HISTORY_PATH})`);
+      entries.slice(-args.limit).reverse().forEach(entry => {
+        console.log(`\n   ${entry.usedAt.slice(0, 16).replace('T', ' ')}  ${entry.source || 'unknown'}  ${entry.id || ''}`);
+        console.log(`   "${(entry.title || '').substring(0, 60)}"`);
+        console.log(`   ${entry.url}`);
+      });
+      break;
+    }
+      
+    case 'prune': {
+      if (!args.days || args.days < 0) {
+        throw new Error('Usage: node scheduler.js history prune --days <n>');
+      }
+      const removed = history.pruneOlderThan(args.days);
+      console.log(`🧹 Pruned ${removed} entr${removed === 1 ? 'y' : 'ies'} older than ${args.days} day(s)`);
+      break;
+    }
+      
+    case 'forget': {
+      if (!args.target) {
+        throw new Error('Usage: node scheduler.js history forget <post-id|image-url>');
+      }
+      const removed = history.forget(args.target);
+      console.log(removed > 0
+        ? `🗑️  Forgot ${removed} entr${removed === 1 ? 'y' : 'ies'} matching ${args.target}`
+        : `🤷 No history entry matches ${args.target}`);
+      break;
+    }
+      
+    default:
+      throw new Error(`Unknown history command "${args.subcommand}" (use list, prune or forget)`);
+  }
+}
+
+/**
+ * Manage the background/music catalog
+ */
+async function manageCatalog(args) {
+  switch (args.subcommand) {
+    case 'scan': {
+      console.log('🔎 Scanning assets...');
+      const { added, removed, total } = await catalog.scanCatalog();
+      console.log(`📚 Catalog: ${total} asset(s), ${added} added, ${removed} removed (${catalog.CATALOG_PATH})`);
+      break;
+    }
+      
+    case 'list': {
+      const { assets } = catalog.loadCatalog();
+      const keys = Object.keys(assets).sort();
+      console.log(`📚 Assets: ${keys.length} (${catalog.CATALOG_PATH})`);
+      keys.forEach(key => {
+        const asset = assets[key];
+        const duration = asset.duration ? `${Math.round(asset.duration)}s` : '?';
+        const lastUsed = asset.lastUsedAt ? asset.lastUsedAt.slice(0, 16).replace('T', ' ') : 'never';
+        console.log(`\n   ${key}  (${duration}${asset.mood ? `, ${asset.mood}` : ''})`);
+        console.log(`   tags: ${asset.tags.join(', ') || '-'} | used ${asset.uses}x | last: ${lastUsed}`);
+      });
+      break;
+    }
+      
+    case 'tag': {
+      if (!args.target || args.values.length === 0) {
+        throw new Error('Usage: node scheduler.js catalog tag <file> <tag> [tag...]');
+      }
+      const key = catalog.tagAsset(args.target, args.values);
+      console.log(`🏷️  ${key}: ${args.values.join(', ')}`);
+      break;
+    }
+      
+    default:
+      throw new Error(`Unknown catalog command "${args.subcommand}" (use scan, list or tag)`);
+  }
+}
+
 /**
  * Main
  */
@@ -392,7 +384,7 @@ async function main() {
   
   switch (args.command) {
     case 'generate':
-      await generateSingleVideo();
+      await generateSingleVideo({ background: args.background, profiles: args.profiles });
       const afterGen = getPendingVideos();
       console.log(`\n📊 Total pending: ${afterGen.length} video(s)`);
       console.log('   Run "npm run upload-all" when ready to schedule uploads');
@@ -414,7 +406,7 @@ async function main() {
       console.log(`Generating ${args.count} videos...\n`);
       for (let i = 0; i < args.count; i++) {
         console.log(`\n[${i + 1}/${args.count}]`);
-        await generateSingleVideo();
+        await generateSingleVideo({ background: args.background, profiles: args.profiles });
       }
       if (!args.dryRun && uploader.isConfigured()) {
         await uploadAllPending({ dryRun: args.dryRun });
@@ -425,6 +417,14 @@ async function main() {
       showStatus();
       break;
       
+    case 'history':
+      manageHistory(args);
+      break;
+      
+    case 'catalog':
+      await manageCatalog(args);
+      break;
+      
     default:
       showHelp();
   }
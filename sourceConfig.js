@@ -0,0 +1,186 @@
+/**
+ * Source Configuration Module
+ *
+ * Loads and validates config/sources.json (override with SOURCES_CONFIG),
+ * which declares every meme source and how it is queried and sampled:
+ *
+ *   {
+ *     "defaults": { "sort": "top", "time": "day", "limit": 25, "sampleTop": 5 },
+ *     "sources": [
+ *       "r/memes",
+ *       { "source": "r/ProgrammerHumor", "weight": 3, "sort": "hot", "minScore": 500 },
+ *       { "type": "rss", "url": "https://example.com/feed.xml", "weight": 0.5 }
+ *     ]
+ *   }
+ *
+ * An entry is either a source string (see sources.js) or an object with a
+ * "source" string or a "type" plus adapter options, and any of the keys below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSource } = require('./sources');
+
+const SOURCES_CONFIG_PATH = process.env.SOURCES_CONFIG || path.join(__dirname, 'config', 'sources.json');
+
+const SORTS = ['top', 'hot', 'rising', 'new'];
+const TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+// Built-in defaults for every entry; config "defaults" override these
+const DEFAULTS = {
+  weight: 1,           // Relative chance of being picked
+  sort: 'top',         // Reddit listing: top, hot, rising, new
+  time: 'day',         // Time window for "top": hour, day, week, month, year, all
+  limit: 25,           // Posts requested per fetch (1-100)
+  minScore: 0,         // Minimum upvotes
+  minUpvoteRatio: 0,   // Minimum upvote ratio (0-1)
+  sampleTop: 5,        // Pick among this many best-ranked candidates (see ranking.js)
+};
+
+// Keys handled here rather than passed through to the adapter
+const ENTRY_KEYS = Object.keys(DEFAULTS);
+
+/**
+ * Collect validation problems for one entry's common keys
+ * @param {Object} values - Entry (or defaults) values
+ * @param {string} where - Location used in messages
+ * @returns {string[]} Problems found
+ */
+function checkValues(values, where) {
+  const problems = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isInteger = value => Number.isInteger(value);
+
+  if (values.weight !== undefined && !(isNumber(values.weight) && values.weight >= 0)) {
+    problems.push(`${where}: "weight" must be a number >= 0`);
+  }
+  if (values.sort !== undefined && !SORTS.includes(values.sort)) {
+    problems.push(`${where}: "sort" must be one of ${SORTS.join(', ')}`);
+  }
+  if (values.time !== undefined && !TIME_WINDOWS.includes(values.time)) {
+    problems.push(`${where}: "time" must be one of ${TIME_WINDOWS.join(', ')}`);
+  }
+  if (values.limit !== undefined && !(isInteger(values.limit) && values.limit >= 1 && values.limit <= 100)) {
+    problems.push(`${where}: "limit" must be an integer from 1 to 100`);
+  }
+  if (values.minScore !== undefined && !isNumber(values.minScore)) {
+    problems.push(`${where}: "minScore" must be a number`);
+  }
+  if (values.minUpvoteRatio !== undefined && !(isNumber(values.minUpvoteRatio) && values.minUpvoteRatio >= 0 && values.minUpvoteRatio <= 1)) {
+    problems.push(`${where}: "minUpvoteRatio" must be a number from 0 to 1`);
+  }
+  if (values.sampleTop !== undefined && !(isInteger(values.sampleTop) && values.sampleTop >= 1)) {
+    problems.push(`${where}: "sampleTop" must be an integer >= 1`);
+  }
+
+  return problems;
+}
+
+/**
+ * Normalize a config entry into { adapter, label, ...settings }
+ * @param {string|Object} entry - Source string or entry object
+ * @param {Object} defaults - Defaults merged under the entry
+ * @returns {Object} Normalized entry
+ */
+function normalizeEntry(entry, defaults = DEFAULTS) {
+  const raw = typeof entry === 'string' ? { source: entry } : entry;
+  const settings = { ...DEFAULTS, ...defaults };
+  const adapterOptions = {};
+
+  Object.entries(raw).forEach(([key, value]) => {
+    if (ENTRY_KEYS.includes(key)) {
+      settings[key] = value;
+    } else if (key !== 'source') {
+      adapterOptions[key] = value;
+    }
+  });
+
+  // Listing options are passed to the adapter; non-Reddit adapters ignore them
+  const listing = { sort: settings.sort, time: settings.time, limit: settings.limit };
+  const adapter = raw.source
+    ? createSource(raw.source, { ...listing, ...adapterOptions })
+    : createSource(adapterOptions, listing);
+
+  return { ...settings, adapter, label: adapter.label };
+}
+
+/**
+ * Validate a parsed config object
+ * @param {Object} config - Parsed sources config
+ * @param {string} where - File name used in messages
+ * @throws {Error} Listing every malformed entry
+ */
+function validateSourceConfig(config, where = SOURCES_CONFIG_PATH) {
+  const problems = [];
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.sources)) {
+    throw new Error(`Invalid source config ${where}: expected an object with a "sources" array`);
+  }
+
+  if (config.defaults !== undefined) {
+    problems.push(...checkValues(config.defaults, 'defaults'));
+  }
+
+  config.sources.forEach((entry, i) => {
+    const location = `sources[${i}]`;
+
+    if (typeof entry === 'string') {
+      try {
+        createSource(entry);
+      } catch (error) {
+        problems.push(`${location}: ${error.message}`);
+      }
+      return;
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${location}: must be a source string or an object`);
+      return;
+    }
+    if (!entry.source && !entry.type) {
+      problems.push(`${location}: needs a "source" string or a "type"`);
+      return;
+    }
+
+    problems.push(...checkValues(entry, location));
+    try {
+      const { source, ...rest } = entry;
+      const adapterOptions = Object.fromEntries(Object.entries(rest).filter(([key]) => !ENTRY_KEYS.includes(key)));
+      createSource(source || adapterOptions, source ? adapterOptions : {});
+    } catch (error) {
+      problems.push(`${location}: ${error.message}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid source config ${where}:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Load, validate and normalize the source config
+ * @returns {Object[]} Normalized entries (see normalizeEntry)
+ */
+function loadSourceConfig() {
+  if (!fs.existsSync(SOURCES_CONFIG_PATH)) {
+    throw new Error(`Missing source config: ${SOURCES_CONFIG_PATH}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(SOURCES_CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${SOURCES_CONFIG_PATH}: ${error.message}`);
+  }
+
+  validateSourceConfig(config);
+  return config.sources.map(entry => normalizeEntry(entry, config.defaults || {}));
+}
+
+module.exports = {
+  SOURCES_CONFIG_PATH,
+  DEFAULTS,
+  normalizeEntry,
+  validateSourceConfig,
+  loadSourceConfig,
+};
@@ -0,0 +1,542 @@
+/**
+ * Meme Source Adapters
+ *
+ * Every place memes come from (Reddit, feeds, a local folder) is wrapped in an
+ * adapter with the same interface, so the fetch pipeline never needs to know
+ * where a candidate came from.
+ *
+ * Source specs can be plain strings or objects:
+ *   'r/memes'                              → Reddit subreddit
+ *   'u/BoredomFestival'                    → Reddit user submissions
+ *   'rss:https://example.com/feed.xml'     → RSS/Atom feed with image enclosures
+ *   'folder:assets/curated'                → Local curated drop folder
+ *   { type: 'json', url, itemsPath, fields } → Generic JSON feed
+ *
+ * New adapters can be added at runtime with registerSourceType().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('./http');
+const reddit = require('./reddit');
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Connection': 'keep-alive',
+  'Cache-Control': 'no-cache',
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const CLIP_EXTENSIONS = ['.mp4', '.webm'];
+
+// Registered source types, keyed by type name
+const registry = new Map();
+
+/**
+ * @typedef {Object} MemeCandidate
+ * @property {string} id - Stable identifier, unique across sources (Reddit post id, feed guid, ...)
+ * @property {string} title - Caption/title of the meme
+ * @property {string} url - Remote image URL or absolute local file path
+ * @property {string} author - Author name (without u/ prefix)
+ * @property {number} score - Popularity score (0 when unknown)
+ * @property {number} [upvoteRatio] - Share of upvotes (0-1), when the source reports it
+ * @property {string} source - Label of the source it came from
+ * @property {string} [permalink] - Link to the post or page the meme was published on
+ * @property {number} [createdUtc] - Publication time in Unix seconds, when known
+ * @property {number} [numComments] - Comment count, when the source reports it
+ * @property {boolean} [nsfw] - Marked NSFW / over 18
+ * @property {boolean} [spoiler] - Marked as spoiler
+ * @property {string} [flair] - Post flair text
+ * @property {boolean} [removed] - Removed by moderators, admins or the author
+ * @property {boolean} [stickied] - Pinned announcement rather than a regular post
+ * @property {string[]} [images] - Ordered image URLs when the post is a gallery (url is the first)
+ * @property {boolean} [animated] - GIF or video clip rather than a still image
+ * @property {string[]} [audioUrls] - Candidate URLs of a clip's separate audio track, best first
+ */
+
+/**
+ * @typedef {Object} SourceAdapter
+ * @property {string} type - Registered type name
+ * @property {string} label - Human-readable label used in logs and metadata
+ * @property {function(): Promise<MemeCandidate[]>} fetchCandidates - Fetch image candidates, best first
+ */
+
+/**
+ * Register a source type
+ * @param {string} type - Type name used in object specs ({ type })
+ * @param {Object} definition - Type definition
+ * @param {function(string): (Object|null)} [definition.parse] - Turn a string spec into options, or null if not ours
+ * @param {function(Object): SourceAdapter} definition.create - Build an adapter from options
+ */
+function registerSourceType(type, definition) {
+  if (typeof definition.create !== 'function') {
+    throw new Error(`Source type "${type}" must provide a create() function`);
+  }
+  registry.set(type, definition);
+}
+
+/**
+ * Get the names of all registered source types
+ * @returns {string[]} Registered type names
+ */
+function getSourceTypes() {
+  return [...registry.keys()];
+}
+
+/**
+ * Create an adapter from a source spec
+ * @param {string|Object} spec - String shorthand or { type, ...options }
+ * @param {Object} listing - Listing options for adapters that support them ({ sort, time, limit })
+ * @returns {SourceAdapter} Adapter for the source
+ */
+function createSource(spec, listing = {}) {
+  if (typeof spec === 'string') {
+    for (const [type, definition] of registry) {
+      const options = definition.parse ? definition.parse(spec) : null;
+      if (options) {
+        return { type, ...definition.create({ ...listing, ...options }) };
+      }
+    }
+    throw new Error(`Unrecognized meme source "${spec}"`);
+  }
+
+  if (!spec || !registry.has(spec.type)) {
+    throw new Error(`Unknown meme source type "${spec && spec.type}" (known: ${getSourceTypes().join(', ')})`);
+  }
+
+  return { type: spec.type, ...registry.get(spec.type).create({ ...listing, ...spec }) };
+}
+
+/**
+ * Check whether a URL looks like a direct image link
+ * @param {string} url - URL to check
+ * @returns {boolean} True for known image hosts or image extensions
+ */
+function isImageUrl(url = '') {
+  const lower = url.toLowerCase().split('?')[0];
+  return (
+    url.includes('i.redd.it') ||
+    url.includes('i.imgur.com') ||
+    IMAGE_EXTENSIONS.some(ext => lower.endsWith(ext))
+  );
+}
+
+/**
+ * Check whether a URL points at a GIF or video clip
+ * @param {string} url - URL or file path
+ * @returns {boolean} True for .gif, .mp4 and .webm
+ */
+function isAnimatedUrl(url = '') {
+  const lower = url.toLowerCase().split('?')[0];
+  return lower.endsWith('.gif') || CLIP_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Read a nested value using a dot path ("data.items.0.url")
+ */
+function getPath(obj, dotPath) {
+  if (!dotPath) return obj;
+  return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// ─── Reddit ────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the ordered, highest-resolution image URLs of a gallery post
+ * @param {Object} post - Reddit post data with gallery_data and media_metadata
+ * @returns {string[]} Image URLs in gallery order (empty if none are usable)
+ */
+function getGalleryImages(post) {
+  const items = (post.gallery_data && post.gallery_data.items) || [];
+  const metadata = post.media_metadata || {};
+
+  return items
+    .map(item => metadata[item.media_id])
+    .filter(media => media && media.status === 'valid' && media.s)
+    // "s" is the original upload; animated images only have gif/mp4 variants
+    .map(media => media.s.u || media.s.gif)
+    .filter(Boolean)
+    .map(url => url.replace(/&amp;/g, '&'));
+}
+
+/**
+ * Resolve the playable mp4 and audio track of a v.redd.it video post
+ * @param {Object} post - Reddit post data
+ * @returns {Object|null} { url, audioUrls } or null if the post has no reddit_video
+ */
+function getRedditVideo(post) {
+  const media = post.secure_media || post.media || {};
+  const video = media.reddit_video;
+  if (!post.is_video || !video || !video.fallback_url) {
+    return null;
+  }
+
+  // fallback_url is the video-only DASH rendition (e.g. .../DASH_720.mp4?source=fallback);
+  // the audio track sits next to it under one of a few historical names
+  const url = video.fallback_url.split('?')[0];
+  const audioUrls = video.is_gif || video.has_audio === false
+    ? []
+    : ['DASH_AUDIO_128.mp4', 'DASH_AUDIO_64.mp4', 'DASH_audio.mp4'].map(name => url.replace(/[^/]+$/, name));
+
+  return { url, audioUrls };
+}
+
+/**
+ * Convert a Reddit post to a candidate, or null if it has no usable image or clip
+ */
+function toRedditCandidate(post, label) {
+  let url = post.url || '';
+  let images;
+  let audioUrls;
+
+  const video = getRedditVideo(post);
+  if (video) {
+    url = video.url;
+    audioUrls = video.audioUrls;
+  } else if (post.is_gallery) {
+    images = getGalleryImages(post);
+    if (images.length === 0) return null;
+    url = images[0];
+  } else if (/\.gifv$/i.test(url)) {
+    // Imgur serves .gifv pages; the mp4 lives at the same path
+    url = url.replace(/\.gifv$/i, '.mp4');
+  } else if (!isImageUrl(url)) {
+    return null;
+  }
+
+  return {
+    id: post.id,
+    title: post.title,
+    url,
+    author: post.author,
+    score: post.score,
+    upvoteRatio: post.upvote_ratio,
+    source: label,
+    permalink: post.permalink ? `https://www.reddit.com${post.permalink}` : undefined,
+    createdUtc: post.created_utc,
+    numComments: post.num_comments,
+    nsfw: Boolean(post.over_18),
+    spoiler: Boolean(post.spoiler),
+    flair: post.link_flair_text || '',
+    removed: Boolean(post.removed_by_category),
+    stickied: Boolean(post.stickied),
+    animated: Boolean(video) || isAnimatedUrl(url),
+    ...(images && images.length > 1 ? { images } : {}),
+    ...(audioUrls && audioUrls.length > 0 ? { audioUrls } : {}),
+  };
+}
+
+/**
+ * Fetch a Reddit listing (see reddit.js) and convert image and gallery posts to candidates
+ */
+async function fetchRedditListing(listingPath, params, label) {
+  const listing = await reddit.getListing(listingPath, params);
+
+  return listing.data.children
+    .map(child => toRedditCandidate(child.data, label))
+    .filter(Boolean);
+}
+
+registerSourceType('reddit-subreddit', {
+  parse: spec => (spec.startsWith('r/') ? { name: spec.substring(2) } : null),
+  create: ({ name, sort = 'top', time = 'day', limit = 25 }) => ({
+    label: `r/${name}`,
+    fetchCandidates: () => fetchRedditListing(`/r/${name}/${sort}`, { limit, t: time }, `r/${name}`),
+  }),
+});
+
+registerSourceType('reddit-user', {
+  parse: spec => (spec.startsWith('u/') ? { name: spec.substring(2) } : null),
+  create: ({ name, sort = 'top', time = 'day', limit = 25 }) => ({
+    label: `u/${name}`,
+    fetchCandidates: () => fetchRedditListing(`/user/${name}/submitted`, { limit, sort, t: time }, `u/${name}`),
+  }),
+});
+
+// ─── RSS / Atom ────────────────────────────────────────────────────────────
+
+/**
+ * Decode the handful of XML entities feeds actually use
+ */
+function decodeXml(text = '') {
+  return text
+    .replace(/^<!\[CDATA\[([\s\S]*?)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the text content of the first matching tag in an XML fragment
+ */
+function getTagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXml(match[1].trim()).trim() : '';
+}
+
+/**
+ * Get the attributes of every matching (usually self-closing) tag
+ */
+function getTagAttributes(xml, tag) {
+  const tags = xml.match(new RegExp(`<${tag}\\b[^>]*>`, 'gi')) || [];
+  return tags.map(tagString => {
+    const attributes = {};
+    tagString.replace(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (_, name, __, dq, sq) => {
+      attributes[name.toLowerCase()] = decodeXml(dq !== undefined ? dq : sq);
+    });
+    return attributes;
+  });
+}
+
+/**
+ * Find the best image URL in a feed item
+ */
+function findFeedImage(item) {
+  const isImageType = type => (type || '').toLowerCase().startsWith('image/');
+
+  const enclosure = getTagAttributes(item, 'enclosure')
+    .find(attrs => attrs.url && (isImageType(attrs.type) || isImageUrl(attrs.url)));
+  if (enclosure) return enclosure.url;
+
+  const media = getTagAttributes(item, 'media:content')
+    .find(attrs => attrs.url && (attrs.medium === 'image' || isImageType(attrs.type) || isImageUrl(attrs.url)));
+  if (media) return media.url;
+
+  const atomEnclosure = getTagAttributes(item, 'link')
+    .find(attrs => attrs.rel === 'enclosure' && attrs.href && (isImageType(attrs.type) || isImageUrl(attrs.href)));
+  if (atomEnclosure) return atomEnclosure.href;
+
+  // Fall back to the first image embedded in the HTML body (e.g. Reddit's own RSS)
+  const body = getTagText(item, 'content:encoded') || getTagText(item, 'content') || getTagText(item, 'description');
+  const embedded = getTagAttributes(body, 'img').find(attrs => attrs.src && isImageUrl(attrs.src));
+  return embedded ? embedded.src : null;
+}
+
+/**
+ * Parse RSS <item> and Atom <entry> elements into candidates
+ * @param {string} xml - Feed document
+ * @param {string} label - Source label
+ * @returns {MemeCandidate[]} Image candidates in feed order
+ */
+function parseFeed(xml, label) {
+  const items = xml.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || [];
+
+  return items
+    .map(item => {
+      const url = findFeedImage(item);
+      if (!url) return null;
+
+      const linkAttrs = getTagAttributes(item, 'link').find(attrs => attrs.href && attrs.rel !== 'enclosure');
+      const link = getTagText(item, 'link') || (linkAttrs ? linkAttrs.href : '');
+      const author = getTagText(item, 'dc:creator') || getTagText(item, 'name') || getTagText(item, 'author');
+      const published = Date.parse(getTagText(item, 'pubDate') || getTagText(item, 'published') || getTagText(item, 'updated'));
+
+      return {
+        id: getTagText(item, 'guid') || getTagText(item, 'id') || link || url,
+        title: getTagText(item, 'title') || 'Untitled',
+        url,
+        author: author.replace(/^\/?u\//, '') || 'unknown',
+        score: 0,
+        source: label,
+        permalink: link || undefined,
+        createdUtc: Number.isNaN(published) ? undefined : Math.floor(published / 1000),
+        animated: isAnimatedUrl(url),
+      };
+    })
+    .filter(Boolean);
+}
+
+registerSourceType('rss', {
+  parse: spec => (spec.startsWith('rss:') ? { url: spec.substring(4) } : null),
+  create: ({ url, label }) => {
+    const feedLabel = label || `rss:${new URL(url).hostname}`;
+    return {
+      label: feedLabel,
+      fetchCandidates: async () => {
+        const response = await http.get(url, {
+          headers: { ...BROWSER_HEADERS, 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+          responseType: 'text',
+        });
+        return parseFeed(String(response.data), feedLabel);
+      },
+    };
+  },
+});
+
+// ─── Generic JSON feed ─────────────────────────────────────────────────────
+
+registerSourceType('json', {
+  /**
+   * Options:
+   *   url        - Feed URL
+   *   itemsPath  - Dot path to the array of items (default: root)
+   *   fields     - Dot paths inside each item: { id, title, url, author, score, nsfw, flair,
+   *                permalink, createdUtc (Unix seconds or a date string), numComments, upvoteRatio }
+   *   headers    - Extra request headers
+   *   label      - Label used in logs (default: json:<host>)
+   */
+  create: ({ url, itemsPath = '', fields = {}, headers = {}, label }) => {
+    if (!url || !fields.url) {
+      throw new Error('JSON sources need a "url" and a "fields.url" mapping');
+    }
+
+    const feedLabel = label || `json:${new URL(url).hostname}`;
+    return {
+      label: feedLabel,
+      fetchCandidates: async () => {
+        const response = await http.get(url, { headers: { ...BROWSER_HEADERS, ...headers } });
+
+        const items = getPath(response.data, itemsPath);
+        if (!Array.isArray(items)) {
+          throw new Error(`"${itemsPath || '(root)'}" is not an array in ${feedLabel}`);
+        }
+
+        return items
+          .map(item => {
+            const field = name => (fields[name] ? getPath(item, fields[name]) : undefined);
+            const created = field('createdUtc');
+            const optionalNumber = value => (value === undefined || value === null ? undefined : Number(value));
+            return {
+              id: `${feedLabel}:${field('id') || field('url')}`,
+              title: String(field('title') || 'Untitled'),
+              url: field('url'),
+              author: String(field('author') || 'unknown'),
+              score: Number(field('score')) || 0,
+              upvoteRatio: optionalNumber(field('upvoteRatio')),
+              source: feedLabel,
+              permalink: field('permalink'),
+              createdUtc: typeof created === 'string' && Number.isNaN(Number(created))
+                ? Math.floor(Date.parse(created) / 1000) || undefined
+                : optionalNumber(created),
+              numComments: optionalNumber(field('numComments')),
+              nsfw: Boolean(field('nsfw')),
+              flair: String(field('flair') || ''),
+              animated: isAnimatedUrl(String(field('url') || '')),
+            };
+          })
+          .filter(candidate => typeof candidate.url === 'string' && (isImageUrl(candidate.url) || isAnimatedUrl(candidate.url)));
+      },
+    };
+  },
+});
+
+// ─── Curated drop folder ───────────────────────────────────────────────────
+
+/**
+ * Parse a small CSV file (header row, quoted fields, "" escapes)
+ * @param {string} text - CSV contents
+ * @returns {Object[]} One object per row, keyed by lower-cased header
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim().toLowerCase());
+  return records.map(record => Object.fromEntries(keys.map((key, i) => [key, (record[i] || '').trim()])));
+}
+
+registerSourceType('folder', {
+  /**
+   * Options:
+   *   path      - Folder with hand-picked images or mp4/webm clips (relative to project root)
+   *   manifest  - CSV file name inside the folder (default: manifest.csv)
+   *               Columns: file, title, author, score (all but file optional)
+   */
+  parse: spec => (spec.startsWith('folder:') ? { path: spec.substring(7) } : null),
+  create: ({ path: folder, manifest = 'manifest.csv', label }) => {
+    const dirPath = path.resolve(__dirname, folder);
+    const folderLabel = label || `folder:${path.basename(dirPath)}`;
+
+    return {
+      label: folderLabel,
+      fetchCandidates: async () => {
+        if (!fs.existsSync(dirPath)) {
+          return [];
+        }
+
+        const manifestPath = path.join(dirPath, manifest);
+        const entries = new Map();
+        if (fs.existsSync(manifestPath)) {
+          parseCsv(fs.readFileSync(manifestPath, 'utf-8'))
+            .filter(entry => entry.file)
+            .forEach(entry => entries.set(entry.file, entry));
+        }
+
+        return fs.readdirSync(dirPath)
+          .filter(file => !file.startsWith('.'))
+          .filter(file => [...IMAGE_EXTENSIONS, ...CLIP_EXTENSIONS].some(ext => file.toLowerCase().endsWith(ext)))
+          .map(file => {
+            const entry = entries.get(file) || {};
+            return {
+              id: `${folderLabel}:${file}`,
+              title: entry.title || path.basename(file, path.extname(file)).replace(/[_-]+/g, ' '),
+              url: path.join(dirPath, file),
+              author: entry.author || 'curated',
+              score: Number(entry.score) || 0,
+              source: folderLabel,
+              animated: isAnimatedUrl(file),
+            };
+          })
+          // Manifest order first (hand-ranked), then the rest alphabetically
+          .sort((a, b) => {
+            const rank = file => (entries.has(file) ? [...entries.keys()].indexOf(file) : Infinity);
+            const fileA = path.basename(a.url);
+            const fileB = path.basename(b.url);
+            return rank(fileA) - rank(fileB) || fileA.localeCompare(fileB);
+          });
+      },
+    };
+  },
+});
+
+module.exports = {
+  registerSourceType,
+  getSourceTypes,
+  createSource,
+  isImageUrl,
+  isAnimatedUrl,
+  getGalleryImages,
+  getRedditVideo,
+  parseFeed,
+  parseCsv,
+};
@@ -0,0 +1,209 @@
+/**
+ * Subtitles Module
+ *
+ * Timed subtitle cues for each video, written next to it as a sidecar file
+ * (<video>.srt and/or <video>.vtt) that the uploader can add as a caption track.
+ *
+ * The cues are the narration lines when there is narration (see
+ * narration.js), otherwise the meme titles: in sequential mode each title
+ * while its meme is on screen, in layout mode the video split evenly between
+ * the titles.
+ *
+ * SUBTITLE_FORMAT: srt (default), vtt, both or off.
+ * SUBTITLE_BURN_IN: true draws every cue into the video, false none of them;
+ * unset draws only narration lines (so the voice is always readable).
+ */
+
+const fs = require('fs');
+
+const SUBTITLE_CONFIG = {
+  format: process.env.SUBTITLE_FORMAT || 'srt',
+  burnIn: process.env.SUBTITLE_BURN_IN === undefined ? null : process.env.SUBTITLE_BURN_IN === 'true',
+};
+
+const FORMATS = {
+  srt: ['srt'],
+  vtt: ['vtt'],
+  both: ['srt', 'vtt'],
+  off: [],
+};
+
+/**
+ * Get the sidecar formats to write (checked before rendering, so a typo
+ * doesn't surface only after the video is made)
+ * @returns {string[]} Extensions, e.g. ['srt']
+ */
+function getFormats() {
+  const formats = FORMATS[SUBTITLE_CONFIG.format];
+  if (!formats) {
+    throw new Error(`Unknown SUBTITLE_FORMAT "${SUBTITLE_CONFIG.format}" (use ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return formats;
+}
+
+/**
+ * Get the sidecar paths of a video
+ * @param {string} videoPath - Rendered video path
+ * @returns {Object} { srt, vtt }
+ */
+function getSubtitlePaths(videoPath) {
+  const base = videoPath.replace(/\.[^.]+$/, '');
+  return { srt: `${base}.srt`, vtt: `${base}.vtt` };
+}
+
+/**
+ * Build the cues of a video
+ * @param {Object} context - What the video shows
+ * @param {Object[]} context.narration - Narration cues { text, start, end, subtitle } (see narration.js)
+ * @param {Array<string|null>} context.titles - Meme titles in slot order
+ * @param {Object[]|null} context.windows - Sequential mode: { start, end } of each meme
+ * @param {number} context.duration - Video length in seconds
+ * @returns {Object[]} Cues { text, start, end, spoken, subtitle } - subtitle is false
+ *   for text that is already on screen
+ */
+function getCues(context) {
+  const { narration = [], titles = [], windows = null, duration } = context;
+  if (narration.length > 0) {
+    return narration.map(cue => ({ text: cue.text, start: cue.start, end: cue.end, spoken: true, subtitle: cue.subtitle !== false }));
+  }
+
+  // Layout mode: every meme is on screen the whole time, so the titles take turns
+  const slots = windows || titles.map((_, i) => ({
+    start: (duration * i) / titles.length,
+    end: (duration * (i + 1)) / titles.length,
+  }));
+
+  const cues = [];
+  titles.forEach((title, i) => {
+    const text = String(title || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    // Cues meet in the middle of a transition rather than overlap
+    const start = i > 0 ? (slots[i].start + slots[i - 1].end) / 2 : slots[i].start;
+    const end = i < slots.length - 1 ? (slots[i].end + slots[i + 1].start) / 2 : slots[i].end;
+    cues.push({ text, start: Number(start.toFixed(2)), end: Number(end.toFixed(2)), spoken: false, subtitle: true });
+  });
+  return cues;
+}
+
+/**
+ * Pick the cues to draw into the video (see SUBTITLE_BURN_IN)
+ * @param {Object[]} cues - Output of getCues()
+ * @returns {Object[]} Cues to burn in
+ */
+function getBurnInCues(cues) {
+  const { burnIn } = SUBTITLE_CONFIG;
+  if (burnIn === false) {
+    return [];
+  }
+  return cues.filter(cue => cue.subtitle && (burnIn || cue.spoken));
+}
+
+/**
+ * Shift cues later, e.g. past an intro added in front of the composition
+ * @param {Object[]} cues - Cues
+ * @param {number} seconds - Offset in seconds
+ * @returns {Object[]} Shifted copies
+ */
+function offsetCues(cues, seconds) {
+  return cues.map(cue => ({ ...cue, start: Number((cue.start + seconds).toFixed(2)), end: Number((cue.end + seconds).toFixed(2)) }));
+}
+
+/**
+ * Drop cues after the end of a video and end the last one with it
+ * @param {Object[]} cues - Cues
+ * @param {number} duration - Video length in seconds
+ * @returns {Object[]} Cues within the video
+ */
+function trimCues(cues, duration) {
+  return cues
+    .filter(cue => cue.start < duration)
+    .map(cue => (cue.end > duration ? { ...cue, end: duration } : cue));
+}
+
+/**
+ * Format a time for a subtitle file
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Before the milliseconds: "," for SRT, "." for WebVTT
+ * @returns {string} e.g. "00:00:01,500"
+ */
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Write cues as SubRip
+ * @param {Object[]} cues - { text, start, end }
+ * @returns {string} SRT content
+ */
+function formatSrt(cues) {
+  return cues.map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`).join('\n');
+}
+
+/**
+ * Write cues as WebVTT
+ * @param {Object[]} cues - { text, start, end }
+ * @returns {string} VTT content
+ */
+function formatVtt(cues) {
+  // "-->" and "<" would be read as cue syntax
+  const body = cues.map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text.replace(/-->/g, '->').replace(/</g, '&lt;')}\n`);
+  return ['WEBVTT\n', ...body].join('\n');
+}
+
+/**
+ * Write the sidecar file(s) of a video
+ * @param {string} videoPath - Rendered video path
+ * @param {Object[]} cues - Output of getCues()
+ * @returns {string[]} Paths written (none when there are no cues or SUBTITLE_FORMAT=off)
+ */
+function writeSubtitles(videoPath, cues) {
+  const formats = getFormats();
+  if (cues.length === 0) {
+    return [];
+  }
+
+  const paths = getSubtitlePaths(videoPath);
+  return formats.map(format => {
+    fs.writeFileSync(paths[format], format === 'srt' ? formatSrt(cues) : formatVtt(cues));
+    return paths[format];
+  });
+}
+
+/**
+ * Find the sidecar of a video to upload (SRT first)
+ * @param {string} videoPath - Rendered video path
+ * @returns {string|null} Sidecar path, or null if there is none
+ */
+function findSubtitles(videoPath) {
+  const paths = getSubtitlePaths(videoPath);
+  return [paths.srt, paths.vtt].find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Delete the sidecar files of a video (after the video itself is removed)
+ * @param {string} videoPath - Rendered video path
+ */
+function deleteSubtitles(videoPath) {
+  Object.values(getSubtitlePaths(videoPath)).forEach(file => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+}
+
+module.exports = {
+  SUBTITLE_CONFIG,
+  getFormats,
+  getSubtitlePaths,
+  getCues,
+  getBurnInCues,
+  offsetCues,
+  trimCues,
+  formatSrt,
+  formatVtt,
+  writeSubtitles,
+  findSubtitles,
+  deleteSubtitles,
+};
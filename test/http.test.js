@@ -0,0 +1,139 @@
+/**
+ * HTTP Module Tests
+ *
+ * Runs createHttpClient() against a local server on a free port, with short
+ * delays: retries on 429, Retry-After, the x-ratelimit-* pause, the backoff
+ * cap and the per-host concurrency limit.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createHttpClient } = require('../http');
+
+// What the server answers next, per path: a list of { status, headers, delay }
+let script = {};
+// Arrival time of every request, per path
+let arrivals = {};
+let active = 0;
+let maxActive = 0;
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  (arrivals[pathname] = arrivals[pathname] || []).push(Date.now());
+  const steps = script[pathname] || [];
+  const step = steps.length > 1 ? steps.shift() : steps[0] || {};
+
+  active++;
+  maxActive = Math.max(maxActive, active);
+  setTimeout(() => {
+    active--;
+    res.writeHead(step.status || 200, { 'Content-Type': 'application/json', ...step.headers });
+    res.end(JSON.stringify({ ok: !step.status || step.status < 400 }));
+  }, step.delay || 0);
+});
+
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(t => {
+  script = {};
+  arrivals = {};
+  active = 0;
+  maxActive = 0;
+  // Keep the retry logs out of the test output
+  t.mock.method(console, 'log', () => {});
+});
+
+test('retries a 429 and honours Retry-After', async () => {
+  script['/limited'] = [
+    { status: 429, headers: { 'Retry-After': '0.2' } },
+    { status: 429, headers: { 'Retry-After': '0.2' } },
+    { status: 200 },
+  ];
+  const client = createHttpClient({ retries: 3, backoffMs: 1 });
+
+  const response = await client.get(`${baseUrl}/limited`);
+  assert.equal(response.status, 200);
+  assert.equal(arrivals['/limited'].length, 3);
+  const [first, second, third] = arrivals['/limited'];
+  assert.ok(second - first >= 190, `second request after ${second - first}ms`);
+  assert.ok(third - second >= 190, `third request after ${third - second}ms`);
+});
+
+test('gives up after the configured number of retries', async () => {
+  script['/always-limited'] = [{ status: 429, headers: { 'Retry-After': '0' } }];
+  const client = createHttpClient({ retries: 2, backoffMs: 1 });
+
+  await assert.rejects(client.get(`${baseUrl}/always-limited`), /after 3 attempts/);
+  assert.equal(arrivals['/always-limited'].length, 3);
+});
+
+test('does not wait longer than maxWaitMs for Retry-After', async () => {
+  script['/slow-down'] = [{ status: 429, headers: { 'Retry-After': '120' } }];
+  const client = createHttpClient({ retries: 3, maxWaitMs: 1000 });
+
+  await assert.rejects(client.get(`${baseUrl}/slow-down`), /asked to wait 120s/);
+  assert.equal(arrivals['/slow-down'].length, 1);
+});
+
+test('pauses the host when x-ratelimit-remaining runs out', async () => {
+  script['/quota'] = [
+    { status: 200, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0.3' } },
+    { status: 200 },
+  ];
+  const client = createHttpClient();
+
+  await client.get(`${baseUrl}/quota`);
+  // Another path on the same host waits too
+  await client.get(`${baseUrl}/other`);
+  const waited = arrivals['/other'][0] - arrivals['/quota'][0];
+  assert.ok(waited >= 290, `next request after ${waited}ms`);
+});
+
+test('caps the exponential backoff at maxBackoffMs', async t => {
+  // Full jitter at its maximum: each delay is the capped ceiling
+  t.mock.method(Math, 'random', () => 1);
+  script['/flaky'] = [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 200 }];
+  const client = createHttpClient({ retries: 3, backoffMs: 10000, maxBackoffMs: 100 });
+
+  const response = await client.get(`${baseUrl}/flaky`);
+  assert.equal(response.status, 200);
+  const gaps = arrivals['/flaky'].slice(1).map((time, i) => time - arrivals['/flaky'][i]);
+  gaps.forEach(gap => {
+    assert.ok(gap >= 90 && gap < 1000, `retried after ${gap}ms`);
+  });
+});
+
+test('limits concurrent requests per host', async () => {
+  script['/slow'] = [{ status: 200, delay: 100 }];
+  const client = createHttpClient({ maxPerHost: 2 });
+
+  await Promise.all(Array.from({ length: 6 }, () => client.get(`${baseUrl}/slow`)));
+  assert.equal(arrivals['/slow'].length, 6);
+  assert.equal(maxActive, 2);
+});
+
+test('keeps a separate limit for each host', async () => {
+  script['/slow'] = [{ status: 200, delay: 100 }];
+  const client = createHttpClient({ maxPerHost: 1 });
+  const otherHost = baseUrl.replace('127.0.0.1', 'localhost');
+
+  await Promise.all([
+    client.get(`${baseUrl}/slow`),
+    client.get(`${baseUrl}/slow`),
+    client.get(`${otherHost}/slow`),
+    client.get(`${otherHost}/slow`),
+  ]);
+  assert.equal(maxActive, 2);
+});
@@ -0,0 +1,67 @@
+/**
+ * Layouts Module Tests
+ *
+ * Validation of layout configs and the choice of aspect variants.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const layouts = require('../layouts');
+
+const slot = (x, y, width, height) => ({ box: { x, y, width, height } });
+
+test('accepts the bundled layouts', () => {
+  assert.doesNotThrow(() => layouts.loadLayouts());
+  assert.ok(layouts.getLayout('stack2').slots.length === 2);
+});
+
+test('lists every problem in one error', () => {
+  const config = {
+    default: 'missing',
+    layouts: {
+      wide: { slots: [slot(0.5, 0, 0.6, 0.5)] },
+      empty: { slots: [] },
+      anchored: { slots: [{ ...slot(0, 0, 1, 1), anchor: 'middle' }] },
+    },
+  };
+  assert.throws(() => layouts.validateLayouts(config, 'test.json'), error => {
+    assert.match(error.message, /^Invalid layouts config test\.json:/);
+    assert.match(error.message, /layouts\.wide\.slots\[0\]: box extends past the right edge/);
+    assert.match(error.message, /layouts\.empty: needs a non-empty "slots" array/);
+    assert.match(error.message, /layouts\.anchored\.slots\[0\]: anchor must be one of/);
+    assert.match(error.message, /default: no layout named "missing"/);
+    return true;
+  });
+});
+
+test('checks box values, aspect variants, banners and motion', () => {
+  const config = {
+    layouts: {
+      bad: {
+        slots: [slot(0, 0, 1, 1.5), { ...slot(0, 0, 1, 1), motion: { effect: 'spin' } }],
+        aspects: { square: { slots: [] }, '1:1': { slots: [slot(0, 0, 1, 1)] } },
+        banner: { box: { x: 0, y: 0, width: 1, height: 0.1 }, slot: 5 },
+      },
+    },
+  };
+  assert.throws(() => layouts.validateLayouts(config, 'test.json'), error => {
+    assert.match(error.message, /slots\[0\]: box\.height must be a number from 0 to 1/);
+    assert.match(error.message, /slots\[1\]: motion\.effect must be one of/);
+    assert.match(error.message, /aspects: "square" is not an aspect ratio/);
+    assert.match(error.message, /aspects\.1:1: needs the same number of slots as the layout \(2\)/);
+    assert.match(error.message, /banner: "slot" must be the index of one of the layout's slots/);
+    return true;
+  });
+});
+
+test('uses the aspect variant closest to the output', () => {
+  const layout = layouts.getLayout('stack2');
+  assert.equal(layouts.forCanvas(layout, 1080, 1080).aspect, '1:1');
+  assert.equal(layouts.forCanvas(layout, 1080, 1920), layout);
+});
+
+test('turns fractional boxes into even pixels', () => {
+  assert.deepEqual(layouts.resolveBox({ x: 0.1, y: 0.1, width: 0.5, height: 0.25 }, 1080, 1920), { x: 108, y: 192, width: 540, height: 480 });
+});
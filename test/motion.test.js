@@ -0,0 +1,42 @@
+/**
+ * Motion Module Tests
+ *
+ * Validation of slot motion settings and the seeded random generator.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const motion = require('../motion');
+
+test('accepts known values and "random"', () => {
+  assert.deepEqual(motion.checkMotion({ effect: motion.EFFECTS[0], entrance: 'random', delay: 0.5 }, 'slot'), []);
+  assert.deepEqual(motion.checkMotion({}, 'slot'), []);
+});
+
+test('reports unknown values and bad delays', () => {
+  assert.deepEqual(motion.checkMotion({ effect: 'spin', entrance: 'teleport', preset: 'wild', delay: -1 }, 'slot'), [
+    `slot: motion.effect must be one of ${motion.EFFECTS.join(', ')} or random`,
+    `slot: motion.entrance must be one of ${motion.ENTRANCES.join(', ')} or random`,
+    `slot: motion.preset must be one of ${motion.PRESETS.join(', ')} or random`,
+    'slot: motion.delay must be a number of seconds >= 0',
+  ]);
+  assert.deepEqual(motion.checkMotion('zoom', 'slot'), ['slot: "motion" must be an object']);
+});
+
+test('repeats the same numbers for the same seed', () => {
+  const draw = seed => {
+    const random = motion.createRandom(seed);
+    return Array.from({ length: 5 }, () => random());
+  };
+  assert.deepEqual(draw(42), draw(42));
+  assert.notDeepEqual(draw(42), draw(43));
+  assert.ok(draw(7).every(value => value >= 0 && value < 1));
+});
+
+test('resolves the same random motion for the same seed', () => {
+  const slot = { motion: { effect: 'random', entrance: 'random' } };
+  const resolve = () => motion.resolveMotion(slot, 0, motion.createRandom(99));
+  assert.deepEqual(resolve(), resolve());
+});
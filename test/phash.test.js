@@ -0,0 +1,38 @@
+/**
+ * Perceptual Hash Module Tests
+ *
+ * Hamming distance between hashes and the near-duplicate lookup.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const phash = require('../phash');
+
+test('counts differing bits between hex hashes', () => {
+  assert.equal(phash.hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(phash.hammingDistance('0000000000000001', '0000000000000003'), 1);
+  assert.equal(phash.hammingDistance('f000000000000000', '0000000000000000'), 4);
+  assert.equal(phash.hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('finds the nearest hash within the distance', () => {
+  const index = [
+    { hash: '00000000000000ff', title: 'far' },
+    { hash: '0000000000000007', title: 'near' },
+    { hash: '0000000000000001', title: 'nearest' },
+    { title: 'no hash' },
+  ];
+  const match = phash.findNearDuplicate('0000000000000000', index, 6);
+  assert.equal(match.entry.title, 'nearest');
+  assert.equal(match.distance, 1);
+});
+
+test('finds nothing past the distance', () => {
+  assert.equal(phash.findNearDuplicate('0000000000000000', [{ hash: '00000000000000ff' }], 6), null);
+});
+
+test('defaults to a distance of 6', { skip: process.env.PHASH_MAX_DISTANCE !== undefined && 'PHASH_MAX_DISTANCE is set' }, () => {
+  assert.equal(phash.MAX_DISTANCE, 6);
+});
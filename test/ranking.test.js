@@ -0,0 +1,67 @@
+/**
+ * Ranking Module Tests
+ *
+ * RANK_WEIGHTS parsing and how candidates are scored and ordered.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ranking = require('../ranking');
+
+const NOW = Date.UTC(2024, 0, 1, 12);
+const hoursAgo = hours => (NOW - hours * 3600000) / 1000;
+
+test('parses weight overrides on top of the defaults', () => {
+  assert.deepEqual(ranking.parseWeights('velocity=1, title=0'), { ...ranking.DEFAULT_WEIGHTS, velocity: 1, title: 0 });
+  assert.deepEqual(ranking.parseWeights(''), ranking.DEFAULT_WEIGHTS);
+  assert.deepEqual(ranking.parseWeights(undefined), ranking.DEFAULT_WEIGHTS);
+});
+
+test('rejects unknown components and non-numeric weights', () => {
+  assert.throws(() => ranking.parseWeights('likes=1'), /Invalid RANK_WEIGHTS entry "likes=1"/);
+  assert.throws(() => ranking.parseWeights('velocity=fast'), /Invalid RANK_WEIGHTS entry/);
+});
+
+test('ranks fast-rising posts above older ones with the same score', () => {
+  const ranked = ranking.rankCandidates([
+    { id: 'old', title: 'old', score: 1000, createdUtc: hoursAgo(48), upvoteRatio: 0.9, numComments: 50 },
+    { id: 'new', title: 'new', score: 1000, createdUtc: hoursAgo(2), upvoteRatio: 0.9, numComments: 50 },
+  ], { now: NOW });
+
+  assert.deepEqual(ranked.map(candidate => candidate.id), ['new', 'old']);
+  assert.deepEqual(ranked.map(candidate => candidate.rank.position), [1, 2]);
+  assert.equal(ranked[0].rank.components.velocity, 1);
+});
+
+test('keeps every component between 0 and 1 and scores unknown signals 0.5', () => {
+  const [ranked] = ranking.rankCandidates([{ id: 'rss', title: 'From a feed' }], { now: NOW });
+  assert.deepEqual(ranked.rank.components, { velocity: 0.5, upvoteRatio: 0.5, comments: 0.5, title: 1 });
+  assert.ok(ranked.rank.score >= 0 && ranked.rank.score <= 1);
+});
+
+test('follows the weights it is given', () => {
+  const candidates = [
+    { id: 'liked', title: 'x', score: 10, createdUtc: hoursAgo(10), upvoteRatio: 0.99, numComments: 0 },
+    { id: 'talked', title: 'x', score: 10, createdUtc: hoursAgo(10), upvoteRatio: 0.5, numComments: 500 },
+  ];
+  const byComments = ranking.rankCandidates(candidates, { now: NOW, weights: { comments: 1 } });
+  const byRatio = ranking.rankCandidates(candidates, { now: NOW, weights: { upvoteRatio: 1 } });
+  assert.equal(byComments[0].id, 'talked');
+  assert.equal(byRatio[0].id, 'liked');
+});
+
+test('marks long titles down', () => {
+  const ranked = ranking.rankCandidates([
+    { id: 'long', title: 'x'.repeat(200) },
+    { id: 'short', title: 'short' },
+  ], { now: NOW });
+  assert.equal(ranked[0].id, 'short');
+  assert.equal(ranked[1].rank.components.title, 0);
+});
+
+test('always picks the best candidate at temperature 0', () => {
+  const ranked = ranking.rankCandidates([{ title: 'a', score: 1 }, { title: 'b', score: 2 }], { now: NOW });
+  assert.equal(ranking.pickIndex(ranked, 2, 0), 0);
+});
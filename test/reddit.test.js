@@ -0,0 +1,166 @@
+/**
+ * Reddit Client Tests
+ *
+ * Runs createRedditClient() against a local stand-in for Reddit's token,
+ * OAuth and public endpoints: the token refresh on 401, one shared token
+ * request for concurrent callers, and which failures fall back to
+ * anonymous mode.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createHttpClient } = require('../http');
+const { createRedditClient } = require('../reddit');
+
+// Answers of the token endpoint, in order (the last one repeats): { status, body, delay }
+let tokenReplies = [];
+// Tokens the OAuth endpoint accepts
+let validTokens = [];
+let requests = [];
+
+const listing = from => ({ data: { children: [], from } });
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  requests.push({ method: req.method, path: pathname, authorization: req.headers.authorization });
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (pathname === '/api/v1/access_token') {
+    const reply = tokenReplies.length > 1 ? tokenReplies.shift() : tokenReplies[0];
+    setTimeout(() => send(reply.status || 200, reply.body), reply.delay || 0);
+  } else if (pathname.startsWith('/oauth/')) {
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (validTokens.includes(token)) {
+      send(200, listing('oauth'));
+    } else {
+      send(401, { message: 'Unauthorized' });
+    }
+  } else if (pathname.endsWith('.json')) {
+    send(200, listing('public'));
+  } else {
+    send(404, {});
+  }
+});
+
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(t => {
+  tokenReplies = [];
+  validTokens = [];
+  requests = [];
+  t.mock.method(console, 'log', () => {});
+});
+
+/**
+ * Create a client that talks to the local server, without retry delays
+ */
+function createClient() {
+  return createRedditClient({
+    clientId: 'id',
+    clientSecret: 'secret',
+    userAgent: 'test:meme-video-generator:v1',
+    oauthBaseUrl: `${baseUrl}/oauth`,
+    publicBaseUrl: `${baseUrl}/public`,
+    authUrl: `${baseUrl}/api/v1/access_token`,
+    httpClient: createHttpClient({ retries: 1, backoffMs: 1 }),
+  });
+}
+
+const tokenRequests = () => requests.filter(request => request.path === '/api/v1/access_token');
+
+test('refreshes the token once when the listing answers 401', async () => {
+  tokenReplies = [
+    { body: { access_token: 'old', expires_in: 3600 } },
+    { body: { access_token: 'new', expires_in: 3600 } },
+  ];
+  validTokens = ['new'];
+  const client = createClient();
+
+  const data = await client.getListing('/r/memes/top', { limit: 5 });
+  assert.equal(data.data.from, 'oauth');
+  assert.equal(tokenRequests().length, 2);
+  const authorizations = requests.filter(request => request.path === '/oauth/r/memes/top').map(request => request.authorization);
+  assert.deepEqual(authorizations, ['Bearer old', 'Bearer new']);
+});
+
+test('shares one token request between concurrent callers', async () => {
+  tokenReplies = [{ body: { access_token: 'tok', expires_in: 3600 }, delay: 100 }];
+  validTokens = ['tok'];
+  const client = createClient();
+
+  const results = await Promise.all([
+    client.getListing('/r/memes/top'),
+    client.getListing('/r/funny/top'),
+    client.getListing('/r/dankmemes/top'),
+  ]);
+  assert.ok(results.every(data => data.data.from === 'oauth'));
+  assert.equal(tokenRequests().length, 1);
+
+  // The cached token serves later requests too
+  await client.getListing('/r/memes/hot');
+  assert.equal(tokenRequests().length, 1);
+});
+
+test('falls back to anonymous mode when the credentials are rejected', async () => {
+  for (const reply of [
+    { status: 401, body: { message: 'Unauthorized' } },
+    { status: 400, body: { error: 'invalid_grant' } },
+    { status: 200, body: { error: 'invalid_grant' } },
+  ]) {
+    requests = [];
+    tokenReplies = [reply];
+    const client = createClient();
+
+    const data = await client.getListing('/r/memes/top');
+    assert.equal(data.data.from, 'public', `after a ${reply.status} token reply`);
+    assert.ok(requests.some(request => request.path === '/public/r/memes/top.json'));
+
+    // Later requests don't ask for a token again
+    await client.getListing('/r/memes/hot');
+    assert.equal(tokenRequests().length, 1);
+  }
+});
+
+test('rethrows server errors without switching to anonymous mode', async () => {
+  tokenReplies = [{ status: 503, body: {} }];
+  const client = createClient();
+
+  await assert.rejects(client.getListing('/r/memes/top'), /503/);
+  assert.ok(!requests.some(request => request.path.endsWith('.json')));
+
+  // Once Reddit is back, the client authenticates as usual
+  tokenReplies = [{ body: { access_token: 'tok', expires_in: 3600 } }];
+  validTokens = ['tok'];
+  const data = await client.getListing('/r/memes/top');
+  assert.equal(data.data.from, 'oauth');
+});
+
+test('rethrows network errors without switching to anonymous mode', async () => {
+  const client = createRedditClient({
+    clientId: 'id',
+    clientSecret: 'secret',
+    oauthBaseUrl: `${baseUrl}/oauth`,
+    publicBaseUrl: `${baseUrl}/public`,
+    // Nothing listens on port 1
+    authUrl: 'http://127.0.0.1:1/api/v1/access_token',
+    httpClient: createHttpClient({ retries: 0 }),
+  });
+
+  await assert.rejects(client.getListing('/r/memes/top'), /ECONNREFUSED/);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,76 @@
+/**
+ * Subtitles Module Tests
+ *
+ * The SRT and WebVTT writers, and the cue timing helpers the renderer uses
+ * for each output.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const subtitles = require('../subtitles');
+
+const cues = [
+  { text: 'Hello there', start: 0, end: 1.5 },
+  { text: 'General Kenobi', start: 61.25, end: 3725.004 },
+];
+
+test('formats SubRip with numbered cues and comma milliseconds', () => {
+  assert.equal(subtitles.formatSrt(cues), [
+    '1',
+    '00:00:00,000 --> 00:00:01,500',
+    'Hello there',
+    '',
+    '2',
+    '00:01:01,250 --> 01:02:05,004',
+    'General Kenobi',
+    '',
+  ].join('\n'));
+});
+
+test('formats WebVTT with a header and dot milliseconds', () => {
+  assert.equal(subtitles.formatVtt(cues), [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:01.500',
+    'Hello there',
+    '',
+    '00:01:01.250 --> 01:02:05.004',
+    'General Kenobi',
+    '',
+  ].join('\n'));
+});
+
+test('keeps titles from breaking WebVTT cue syntax', () => {
+  const vtt = subtitles.formatVtt([{ text: 'a --> b <i>c</i>', start: 0, end: 1 }]);
+  assert.ok(vtt.endsWith('a -> b &lt;i>c&lt;/i>\n'), vtt);
+});
+
+test('shifts cues past an intro', () => {
+  assert.deepEqual(subtitles.offsetCues(cues, 1.5).map(cue => [cue.start, cue.end]), [[1.5, 3], [62.75, 3726.5]]);
+});
+
+test('drops cues after a cut and ends the last one with the video', () => {
+  const trimmed = subtitles.trimCues([
+    { text: 'a', start: 0, end: 4 },
+    { text: 'b', start: 5, end: 9 },
+    { text: 'c', start: 10, end: 12 },
+  ], 7);
+  assert.deepEqual(trimmed.map(cue => [cue.text, cue.start, cue.end]), [['a', 0, 4], ['b', 5, 7]]);
+});
+
+test('splits a layout video evenly between the titles', () => {
+  const result = subtitles.getCues({ titles: ['one', null, '  three  '], duration: 9 });
+  assert.deepEqual(result.map(cue => [cue.text, cue.start, cue.end]), [['one', 0, 3], ['three', 6, 9]]);
+  assert.ok(result.every(cue => cue.subtitle && !cue.spoken));
+});
+
+test('uses the narration lines when there are any', () => {
+  const result = subtitles.getCues({
+    narration: [{ text: 'Here are 2 memes', start: 0.3, end: 1.8, subtitle: false }],
+    titles: ['one', 'two'],
+    duration: 10,
+  });
+  assert.deepEqual(result, [{ text: 'Here are 2 memes', start: 0.3, end: 1.8, spoken: true, subtitle: false }]);
+});
@@ -0,0 +1,54 @@
+/**
+ * Text Overlay Module Tests
+ *
+ * Escaping of user text for drawtext and the line wrapping of captions.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const textOverlay = require('../textOverlay');
+
+const usesBundledFont = textOverlay.TEXT_CONFIG.fontFile === textOverlay.BUNDLED_FONT;
+
+test('escapes drawtext option and filtergraph separators', () => {
+  // ":" and "'" are escaped for the option, then "\" and "'" again for the graph
+  assert.equal(textOverlay.escapeDrawtext("it's 5:00"), "it\\\\\\'s 5\\\\:00");
+  assert.equal(textOverlay.escapeDrawtext('a,b;c[d]'), 'a\\,b\\;c\\[d\\]');
+  assert.equal(textOverlay.escapeDrawtext('C:\\path'), 'C\\\\:\\\\\\\\path');
+});
+
+test('leaves % alone (drawn with expansion=none)', () => {
+  assert.equal(textOverlay.escapeDrawtext('100% real %{pts}'), '100% real %{pts}');
+});
+
+test('replaces control characters with spaces', () => {
+  assert.equal(textOverlay.escapeDrawtext('line\none\ttab'), 'line one tab');
+});
+
+test('leaves out emoji the bundled font cannot draw', { skip: !usesBundledFont && 'FONT_FILE is set' }, () => {
+  assert.equal(textOverlay.escapeDrawtext('Wait for #2 😂'), 'Wait for #2');
+  assert.equal(textOverlay.escapeDrawtext('👍🏽 ok 👨‍👩‍👧 ❤️'), 'ok');
+  assert.equal(textOverlay.escapeDrawtext('© 2024 ™'), '© 2024 ™');
+});
+
+test('wraps text at word boundaries', () => {
+  // 55px at 10px per ~5.5px glyph: 10 characters per line
+  assert.deepEqual(textOverlay.wrapText('the quick brown fox jumps', 55, 10, 5), ['the quick', 'brown fox', 'jumps']);
+});
+
+test('splits words longer than a line', () => {
+  assert.deepEqual(textOverlay.wrapText('abcdefghijklmnopqrstuvwxy', 55, 10, 5), ['abcdefghij', 'klmnopqrst', 'uvwxy']);
+});
+
+test('cuts the last line with "..." when there are too many lines', () => {
+  const lines = textOverlay.wrapText('the quick brown fox jumps over the lazy dog', 55, 10, 2);
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0], 'the quick');
+  assert.ok(lines[1].endsWith('...') && lines[1].length <= 10, lines[1]);
+});
+
+test('fills in hook templates', () => {
+  assert.equal(textOverlay.renderHook('Wait for #{last}', { count: 3 }), 'Wait for #3');
+});
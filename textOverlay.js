@@ -0,0 +1,313 @@
+/**
+ * Text Overlay Module
+ *
+ * Builds the drawtext filters for on-screen text:
+ *   hook       - headline at the top of the video (HOOK_TEXT)
+ *   captions   - each meme's title, wrapped under the meme (CAPTIONS=true)
+ *   watermark  - channel handle shown for the whole video (WATERMARK_TEXT)
+ *   subtitles  - timed lines in the lower third, e.g. the narration (see narration.js)
+ *
+ * HOOK_TEXT is a template. {count} is the number of memes, {last} the number
+ * of the last one and {title} the first meme's title, so "Wait for #{last} 😂"
+ * becomes "Wait for #2 😂" on a two-meme video. Several hooks separated by
+ * "|" are picked from at random.
+ *
+ * Text is drawn with the bundled Lato font (assets/fonts) unless FONT_FILE
+ * points at another one. Lato has no emoji, so with it they are left out
+ * ("Wait for #2 😂" shows as "Wait for #2") rather than drawn as empty boxes;
+ * set FONT_FILE to a font with emoji glyphs to show them.
+ *
+ * Titles are user content, so every string goes through escapeDrawtext() and
+ * is drawn with expansion=none.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const layouts = require('./layouts');
+
+const BUNDLED_FONT = path.join(__dirname, 'assets', 'fonts', 'Lato-Regular.ttf');
+
+const TEXT_CONFIG = {
+  fontFile: process.env.FONT_FILE || (fs.existsSync(BUNDLED_FONT) ? BUNDLED_FONT : null),
+  hook: {
+    template: process.env.HOOK_TEXT || '',
+    fontSize: parseInt(process.env.HOOK_FONT_SIZE) || 64,
+    maxLines: 2,
+    top: 0.04, // Fraction of the output height
+  },
+  captions: {
+    enabled: process.env.CAPTIONS === 'true',
+    fontSize: parseInt(process.env.CAPTION_FONT_SIZE) || 34,
+    maxChars: parseInt(process.env.CAPTION_MAX_CHARS) || 100,
+    maxLines: parseInt(process.env.CAPTION_MAX_LINES) || 2,
+  },
+  watermark: {
+    text: process.env.WATERMARK_TEXT || '',
+    position: process.env.WATERMARK_POSITION || 'bottom-right',
+    opacity: process.env.WATERMARK_OPACITY !== undefined ? parseFloat(process.env.WATERMARK_OPACITY) : 0.6,
+    fontSize: parseInt(process.env.WATERMARK_FONT_SIZE) || 34,
+    margin: 0.05, // Fraction of the output width, kept clear of the edges
+  },
+  subtitles: {
+    fontSize: parseInt(process.env.SUBTITLE_FONT_SIZE) || 52,
+    maxLines: 3,
+    top: 0.72, // Fraction of the output height
+  },
+};
+
+// Padding above and below a caption block
+const CAPTION_PADDING = 10;
+
+// Emoji and the characters that join or modify them (© ® ™ are in Lato)
+const EMOJI = /(?![\u00a9\u00ae\u2122])\p{Extended_Pictographic}|\p{Regional_Indicator}|[\u{1f3fb}-\u{1f3ff}\u200d\u20e3\ufe0e\ufe0f]/gu;
+
+/**
+ * Leave out the characters the bundled font has no glyph for
+ * @param {string} text - Text to draw
+ * @returns {string} Text without emoji, unless FONT_FILE is set
+ */
+function toDrawable(text) {
+  if (TEXT_CONFIG.fontFile !== BUNDLED_FONT) {
+    return text;
+  }
+  return text.replace(EMOJI, '').replace(/ {2,}/g, ' ').trim();
+}
+
+/**
+ * Escape a value for a filter option inside a filtergraph
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeOption(value) {
+  // Option value level, then filtergraph level
+  const optionLevel = value.replace(/[\\':]/g, '\\$&');
+  return optionLevel.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Escape text for a drawtext "text" option inside a filtergraph
+ * (use with expansion=none so % needs no escaping)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeDrawtext(text) {
+  return escapeOption(toDrawable(String(text).replace(/[\x00-\x1f\x7f]/g, ' ')));
+}
+
+/**
+ * Get the drawtext font option
+ * @returns {string} "fontfile=...:" or '' for FFmpeg's default font
+ */
+function fontOption() {
+  return TEXT_CONFIG.fontFile ? `fontfile=${escapeOption(TEXT_CONFIG.fontFile)}:` : '';
+}
+
+/**
+ * How many characters fit on one line
+ * @param {number} width - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {number} Characters per line
+ */
+function charsPerLine(width, fontSize) {
+  // Rough average glyph width for sans fonts
+  return Math.max(4, Math.floor(width / (fontSize * 0.55)));
+}
+
+/**
+ * Shorten text so it fits on one line of the given width
+ * @param {string} text - Text
+ * @param {number} width - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {string} Text, truncated with "..." if needed
+ */
+function fitText(text, width, fontSize) {
+  const maxChars = charsPerLine(width, fontSize);
+  return text.length > maxChars ? `${text.substring(0, maxChars - 3).trim()}...` : text;
+}
+
+/**
+ * Break text into lines that fit the given width
+ * @param {string} text - Text
+ * @param {number} width - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} maxLines - Maximum number of lines; the last one is truncated with "..."
+ * @returns {string[]} Lines
+ */
+function wrapText(text, width, fontSize, maxLines) {
+  const maxChars = charsPerLine(width, fontSize);
+  const words = String(text).replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+
+  const lines = [];
+  let line = '';
+  words.forEach(word => {
+    // Split words that are longer than a whole line
+    while (word.length > maxChars) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.substring(0, maxChars));
+      word = word.substring(maxChars);
+    }
+    if (!word) return;
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+  const kept = lines.slice(0, maxLines);
+  // The next line did not fit on this one, so this always ends in "..."
+  kept[maxLines - 1] = fitText(`${kept[maxLines - 1]} ${lines[maxLines]}`, width, fontSize);
+  return kept;
+}
+
+/**
+ * Fill in a hook template
+ * @param {string} template - HOOK_TEXT value, e.g. "Wait for #{last} 😂"
+ * @param {Object} context - { count, titles }
+ * @returns {string} Hook text ('' when there is no template)
+ */
+function renderHook(template, context = {}) {
+  const { count = 0, titles = [] } = context;
+  const options = template.split('|').map(option => option.trim()).filter(Boolean);
+  if (options.length === 0) {
+    return '';
+  }
+
+  const picked = options[Math.floor(Math.random() * options.length)];
+  return picked
+    .replace(/\{count\}/g, String(count))
+    .replace(/\{last\}/g, String(count))
+    .replace(/\{title\}/g, titles[0] || '')
+    .trim();
+}
+
+/**
+ * Build drawtext filters for a block of lines, one filter per line, centred
+ * horizontally on `centerX`
+ * @param {string[]} lines - Lines of text
+ * @param {Object} style - { fontSize, y, centerX, color, border, box, enable }
+ * @returns {string[]} drawtext filters
+ */
+function drawLines(lines, style) {
+  const { fontSize, y, centerX = 'w/2', color = 'white', border = true, box = null, enable = null } = style;
+  const lineHeight = Math.round(fontSize * 1.3);
+
+  return lines.map((line, i) => {
+    let filter = `drawtext=${fontOption()}text=${escapeDrawtext(line)}:expansion=none:fontsize=${fontSize}:fontcolor=${color}` +
+      `:x=${centerX}-text_w/2:y=${y}+${i * lineHeight}`;
+    if (border) filter += ':borderw=3:bordercolor=black';
+    if (box) filter += `:box=1:boxcolor=${box}:boxborderw=12`;
+    if (enable) filter += `:enable='${enable}'`;
+    return filter;
+  });
+}
+
+/**
+ * Lay out the caption of a meme
+ * @param {string|null} title - Meme title
+ * @param {number} width - Width available under the meme in pixels
+ * @returns {Object|null} { lines, height } or null when captions are off or there is no title
+ */
+function getCaption(title, width) {
+  const { enabled, fontSize, maxChars, maxLines } = TEXT_CONFIG.captions;
+  if (!enabled || !title || !title.trim()) {
+    return null;
+  }
+
+  const text = title.length > maxChars ? `${title.substring(0, maxChars - 3).trim()}...` : title;
+  const lines = wrapText(text, width, fontSize, maxLines);
+  return { lines, height: lines.length * Math.round(fontSize * 1.3) + CAPTION_PADDING * 2 };
+}
+
+/**
+ * Build the caption filters of a meme; the caption is drawn in a band of
+ * caption.height pixels that starts `fromBottom` pixels above the bottom
+ * of the padded meme
+ * @param {Object} caption - Output of getCaption()
+ * @param {number} fromBottom - Distance from the band's top to the bottom of the frame
+ * @returns {string[]} drawtext filters
+ */
+function captionFilters(caption, fromBottom) {
+  const { fontSize } = TEXT_CONFIG.captions;
+  return drawLines(caption.lines, { fontSize, y: `h-${fromBottom}+${CAPTION_PADDING}` });
+}
+
+/**
+ * Build the filters of timed subtitles, each shown from its start to its end
+ * @param {Object[]} cues - { text, start, end } in seconds
+ * @param {Object} canvas - { width, height } of the output
+ * @returns {string[]} drawtext filters
+ */
+function subtitleFilters(cues, canvas) {
+  const { fontSize, maxLines, top } = TEXT_CONFIG.subtitles;
+  return cues.flatMap(cue => drawLines(wrapText(cue.text, canvas.width * 0.86, fontSize, maxLines), {
+    fontSize,
+    y: Math.round(top * canvas.height),
+    box: 'black@0.55',
+    enable: `between(t,${cue.start},${cue.end})`,
+  }));
+}
+
+/**
+ * Build the hook, subtitle and watermark filters drawn on top of the finished frame
+ * @param {Object} canvas - { width, height } of the output
+ * @param {Object} context - { count, titles } for the hook template, or { hook } with the text to draw;
+ *   { subtitles } adds timed subtitles (see subtitleFilters)
+ * @returns {string[]} drawtext filters (empty when none is configured)
+ */
+function buildTextLayer(canvas, context = {}) {
+  const filters = [];
+
+  // A hook picked earlier keeps every output of a render on the same text
+  const hookText = context.hook !== undefined ? context.hook : renderHook(TEXT_CONFIG.hook.template, context);
+  if (hookText) {
+    const { fontSize, maxLines, top } = TEXT_CONFIG.hook;
+    const lines = wrapText(hookText, canvas.width * 0.9, fontSize, maxLines);
+    filters.push(...drawLines(lines, { fontSize, y: Math.round(top * canvas.height), box: 'black@0.45' }));
+  }
+
+  if (context.subtitles && context.subtitles.length > 0) {
+    filters.push(...subtitleFilters(context.subtitles, canvas));
+  }
+
+  const { text, position, opacity, fontSize, margin } = TEXT_CONFIG.watermark;
+  if (text) {
+    const anchor = layouts.ANCHORS[position];
+    if (!anchor) {
+      throw new Error(`Unknown WATERMARK_POSITION "${position}" (use one of ${Object.keys(layouts.ANCHORS).join(', ')})`);
+    }
+    const inset = Math.round(margin * canvas.width);
+    filters.push(
+      `drawtext=${fontOption()}text=${escapeDrawtext(text)}:expansion=none:fontsize=${fontSize}` +
+      `:fontcolor=white@${opacity}:shadowcolor=black@${opacity}:shadowx=2:shadowy=2` +
+      `:x=${inset}+(w-${inset * 2}-text_w)*${anchor.x}:y=${inset}+(h-${inset * 2}-text_h)*${anchor.y}`
+    );
+  }
+
+  return filters;
+}
+
+module.exports = {
+  TEXT_CONFIG,
+  BUNDLED_FONT,
+  escapeDrawtext,
+  fontOption,
+  fitText,
+  wrapText,
+  renderHook,
+  drawLines,
+  getCaption,
+  captionFilters,
+  subtitleFilters,
+  buildTextLayer,
+};
@@ -0,0 +1,183 @@
+/**
+ * Thumbnail Module
+ *
+ * Makes a 1280x720 thumbnail for each video, saved next to it as
+ * <video>.thumbnail.jpg, which the uploader sets as the custom thumbnail.
+ *
+ * THUMBNAIL_MODE:
+ *   card   The top (first) meme on a blurred copy of itself, with a headline (default)
+ *   frame  A representative frame of the finished video, picked by FFmpeg's
+ *          thumbnail filter, on the same blurred backdrop with the headline
+ *   off    No thumbnail
+ *
+ * The headline is THUMBNAIL_TEXT, a template like HOOK_TEXT ({count}, {last},
+ * {title}, "|" alternatives); it defaults to the hook, then to the top meme's
+ * title. Set THUMBNAIL_TEXT=none for a thumbnail without text.
+ */
+
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { probeDuration } = require('./backgroundSegments');
+const { TEXT_CONFIG, wrapText, renderHook, drawLines } = require('./textOverlay');
+
+const THUMBNAIL_CONFIG = {
+  mode: process.env.THUMBNAIL_MODE || 'card',
+  text: process.env.THUMBNAIL_TEXT || '',
+  width: 1280,
+  height: 720,
+  fontSize: 72,
+  maxLines: 3,
+  // Frame mode: look for the frame this far into the video, past the entrances
+  framePosition: 0.3,
+};
+
+const MODES = ['card', 'frame', 'off'];
+
+/**
+ * Get the thumbnail path for a video
+ * @param {string} videoPath - Rendered video path
+ * @returns {string} Path of the .thumbnail.jpg file next to it
+ */
+function getThumbnailPath(videoPath) {
+  return videoPath.replace(/\.[^.]+$/, '.thumbnail.jpg');
+}
+
+/**
+ * Work out the headline
+ * @param {Object} context - { count, titles }
+ * @returns {string} Headline ('' for none)
+ */
+function getHeadline(context) {
+  const template = THUMBNAIL_CONFIG.text || TEXT_CONFIG.hook.template;
+  if (template === 'none') {
+    return '';
+  }
+  return renderHook(template, context) || (context.titles && context.titles[0]) || '';
+}
+
+/**
+ * Build the filters that lay out the thumbnail: the picture fitted on one
+ * side over a blurred, darkened fill, the headline on the other
+ * @param {string} headline - Headline ('' for a centred picture)
+ * @param {string} select - Filter that picks the picture from the input (optional)
+ * @returns {string[]} Filters reading [0:v], ending in [thumb]
+ */
+function buildCardFilters(headline, select = '') {
+  const { width, height, fontSize, maxLines } = THUMBNAIL_CONFIG;
+  const margin = 40;
+  const filters = [
+    `[0:v]${select ? `${select},` : ''}split[fill][picture]`,
+    `[fill]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},` +
+      'boxblur=20:2,eq=brightness=-0.25,setsar=1[backdrop]',
+  ];
+
+  if (!headline) {
+    filters.push(`[picture]scale=${width - margin * 2}:${height - margin * 2}:force_original_aspect_ratio=decrease[fitted]`);
+    filters.push('[backdrop][fitted]overlay=(W-w)/2:(H-h)/2[thumb]');
+    return filters;
+  }
+
+  // Picture on the right 45%, text centred in the rest
+  const pictureWidth = Math.round(width * 0.45);
+  const textWidth = width - pictureWidth - margin * 3;
+  const lines = wrapText(headline, textWidth, fontSize, maxLines);
+  const top = Math.round((height - lines.length * Math.round(fontSize * 1.3)) / 2);
+  const text = drawLines(lines, { fontSize, y: top, centerX: String(margin + Math.round(textWidth / 2)) });
+
+  filters.push(`[picture]scale=${pictureWidth}:${height - margin * 2}:force_original_aspect_ratio=decrease[fitted]`);
+  filters.push(`[backdrop][fitted]overlay=W-w-${margin}:(H-h)/2,${text.join(',')}[thumb]`);
+  return filters;
+}
+
+/**
+ * Render a thumbnail with FFmpeg
+ * @param {string} source - Image or video to take the picture from
+ * @param {string[]} inputOptions - Input options (e.g. a seek)
+ * @param {string[]} filters - Filters ending in [thumb]
+ * @param {string} outputPath - Thumbnail path
+ * @returns {Promise<string>} Thumbnail path
+ */
+function renderThumbnail(source, inputOptions, filters, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(source)
+      .inputOptions(inputOptions)
+      .complexFilter(filters.join(';'))
+      .outputOptions(['-map', '[thumb]', '-frames:v', '1', '-q:v', '2'])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', err => reject(new Error(`Thumbnail failed: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Create the thumbnail of a video
+ * @param {string} videoPath - Rendered video path
+ * @param {Object} options - Thumbnail options
+ * @param {string[]} options.memePaths - Meme files in slot order (card mode uses the first)
+ * @param {Array<string|null>} options.titles - Meme titles, for the headline
+ * @param {string} options.mode - 'card', 'frame' or 'off' (default: THUMBNAIL_MODE)
+ * @returns {Promise<string|null>} Thumbnail path, or null when off
+ */
+async function createThumbnail(videoPath, options = {}) {
+  const { memePaths = [], titles = [], mode = THUMBNAIL_CONFIG.mode } = options;
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown THUMBNAIL_MODE "${mode}" (use ${MODES.join(', ')})`);
+  }
+  if (mode === 'off') {
+    return null;
+  }
+
+  const headline = getHeadline({ count: memePaths.length, titles: titles.filter(Boolean) });
+  const outputPath = getThumbnailPath(videoPath);
+
+  if (mode === 'frame') {
+    const duration = await probeDuration(videoPath);
+    const start = (duration * THUMBNAIL_CONFIG.framePosition).toFixed(2);
+    // thumbnail= picks the most typical of the next second's frames
+    await renderThumbnail(videoPath, ['-ss', start], buildCardFilters(headline, 'thumbnail=n=30'), outputPath);
+  } else {
+    if (!memePaths[0]) {
+      throw new Error('Card thumbnails need the meme files');
+    }
+    await renderThumbnail(memePaths[0], [], buildCardFilters(headline), outputPath);
+  }
+
+  console.log(`🖼️ Thumbnail saved to: ${outputPath}`);
+  return outputPath;
+}
+
+/**
+ * Create the thumbnail of a video, logging instead of throwing on failure
+ * (a missing thumbnail should never cost the video)
+ * @param {string} videoPath - Rendered video path
+ * @param {Object} options - See createThumbnail()
+ * @returns {Promise<string|null>} Thumbnail path, or null
+ */
+async function generateThumbnail(videoPath, options = {}) {
+  try {
+    return await createThumbnail(videoPath, options);
+  } catch (error) {
+    console.log(`⚠️ ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Delete the thumbnail of a video (after the video itself is removed)
+ * @param {string} videoPath - Rendered video path
+ */
+function deleteThumbnail(videoPath) {
+  const thumbnailPath = getThumbnailPath(videoPath);
+  if (fs.existsSync(thumbnailPath)) {
+    fs.unlinkSync(thumbnailPath);
+  }
+}
+
+module.exports = {
+  THUMBNAIL_CONFIG,
+  getThumbnailPath,
+  createThumbnail,
+  generateThumbnail,
+  deleteThumbnail,
+};
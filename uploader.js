@@ -12,13 +12,25 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { google } = require('googleapis');
+const attribution = require('./attribution');
+const thumbnail = require('./thumbnail');
+const subtitles = require('./subtitles');
 
 // File paths for credentials
 const CLIENT_SECRETS_PATH = path.join(__dirname, 'client_secrets.json');
 const TOKEN_PATH = path.join(__dirname, 'token.json');
 
-// Required OAuth2 scopes for YouTube uploads
+// Set THUMBNAIL_UPLOAD=false to keep YouTube's auto-generated thumbnails
+const THUMBNAIL_UPLOAD = process.env.THUMBNAIL_UPLOAD !== 'false';
+
+// Set CAPTION_UPLOAD=true to add the subtitle sidecar as a caption track
+const CAPTION_UPLOAD = process.env.CAPTION_UPLOAD === 'true';
+
+// Required OAuth2 scopes for YouTube uploads (captions need the wider force-ssl scope)
 const SCOPES = ['https://www.googleapis.com/auth/youtube.upload'];
+if (CAPTION_UPLOAD) {
+  SCOPES.push('https://www.googleapis.com/auth/youtube.force-ssl');
+}
 
 /**
  * Load OAuth2 client from credentials file
@@ -128,12 +140,13 @@ function getNewToken(oAuth2Client) {
  * Generate video metadata for YouTube
  * @param {Object} options - Metadata options
  * @param {string[]} options.memeTitles - Titles of the memes used
+ * @param {Object[]} options.credits - Attribution records (see attribution.js)
  * @param {string} options.privacyStatus - 'private', 'public', or 'unlisted'
  * @param {string} options.publishAt - ISO 8601 timestamp for scheduled publishing
  * @returns {Object} Video metadata object
  */
 function generateMetadata(options = {}) {
-  const { memeTitles = [], privacyStatus = 'private', publishAt = null } = options;
+  const { memeTitles = [], credits = [], privacyStatus = 'private', publishAt = null } = options;
   
   // Generate catchy titles
   const titleOptions = [
@@ -170,6 +183,12 @@ function generateMetadata(options = {}) {
     description += '\n';
   }
   
+  // Credit the original creators
+  const creditsSection = attribution.formatDescriptionCredits(credits);
+  if (creditsSection) {
+    description += `${creditsSection}\n`;
+  }
+  
   description += '━━━━━━━━━━━━━━━━━━━━━━\n';
   description += '#shorts #memes #funny #meme #viral #comedy #lol #relatable #dankmemes #funnymemes\n';
   description += '━━━━━━━━━━━━━━━━━━━━━━\n\n';
@@ -221,17 +240,89 @@ function generateMetadata(options = {}) {
   };
 }
 
+/**
+ * Set the custom thumbnail of an uploaded video. Failures are logged as
+ * warnings: the video is already up, so they shouldn't fail the upload.
+ * @param {Object} youtube - YouTube API client
+ * @param {string} videoId - Uploaded video ID
+ * @param {string} thumbnailPath - JPEG thumbnail path
+ * @returns {Promise<string>} 'set' or 'failed'
+ */
+async function setThumbnail(youtube, videoId, thumbnailPath) {
+  try {
+    await youtube.thumbnails.set({
+      videoId,
+      media: {
+        mimeType: 'image/jpeg',
+        body: fs.createReadStream(thumbnailPath),
+      },
+    });
+    console.log(`🖼️ Thumbnail set: ${path.basename(thumbnailPath)}`);
+    return 'set';
+  } catch (error) {
+    if (error.code === 403) {
+      console.log('⚠️ Thumbnail not set: this channel cannot use custom thumbnails yet.');
+      console.log('   Verify the channel at https://www.youtube.com/verify to enable them.');
+    } else {
+      console.log(`⚠️ Thumbnail not set: ${error.message}`);
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Add a caption track to an uploaded video. Like the thumbnail, failures
+ * are logged as warnings and don't fail the upload.
+ * @param {Object} youtube - YouTube API client
+ * @param {string} videoId - Uploaded video ID
+ * @param {string} captionPath - SRT or WebVTT file
+ * @param {string} language - Caption language (the video's defaultLanguage)
+ * @returns {Promise<string>} 'uploaded' or 'failed'
+ */
+async function uploadCaptions(youtube, videoId, captionPath, language) {
+  try {
+    await youtube.captions.insert({
+      part: ['snippet'],
+      requestBody: {
+        snippet: { videoId, language, name: 'Captions', isDraft: false },
+      },
+      media: {
+        mimeType: 'application/octet-stream',
+        body: fs.createReadStream(captionPath),
+      },
+    });
+    console.log(`💬 Captions added (${language}): ${path.basename(captionPath)}`);
+    return 'uploaded';
+  } catch (error) {
+    if (error.code === 403 && /insufficient/i.test(error.message)) {
+      console.log('⚠️ Captions not added: the saved token has no caption permission.');
+      console.log('   Delete token.json and authorize again to allow caption uploads.');
+    } else {
+      console.log(`⚠️ Captions not added: ${error.message}`);
+    }
+    return 'failed';
+  }
+}
+
 /**
  * Upload a video to YouTube
  * @param {string} videoPath - Path to the video file
  * @param {Object} options - Upload options
- * @param {string[]} options.memeTitles - Titles of the memes used
+ * @param {string[]} options.memeTitles - Titles of the memes used (default: from the video's credits ledger)
+ * @param {Object[]} options.credits - Attribution records (default: from the video's credits ledger)
  * @param {string} options.privacyStatus - 'private', 'public', or 'unlisted'
  * @param {string} options.publishAt - ISO 8601 timestamp for scheduled publishing
- * @returns {Promise<Object>} Upload response with video ID and URL
+ * @param {string} options.thumbnailPath - Custom thumbnail (default: the video's .thumbnail.jpg, if any)
+ * @param {string} options.captionPath - Caption file (default: the video's .srt or .vtt sidecar, if any)
+ * @returns {Promise<Object>} Upload response with video ID, URL, thumbnail and caption status
  */
 async function uploadVideo(videoPath, options = {}) {
-  const { memeTitles = [], privacyStatus = 'private', publishAt = null } = options;
+  const { privacyStatus = 'private', publishAt = null } = options;
+  const ledger = attribution.readLedger(videoPath);
+  const credits = options.credits || (ledger ? ledger.credits : []);
+  const memeTitles = options.memeTitles || credits.map(credit => credit.title);
+  const thumbnailPath = options.thumbnailPath || thumbnail.getThumbnailPath(videoPath);
+  const captionPath = options.captionPath || subtitles.findSubtitles(videoPath);
   
   console.log('\n📤 Starting YouTube Upload');
   console.log('═'.repeat(50));
@@ -255,7 +346,7 @@ async function uploadVideo(videoPath, options = {}) {
     const youtube = google.youtube({ version: 'v3', auth: oAuth2Client });
     
     // Generate metadata
-    const metadata = generateMetadata({ memeTitles, privacyStatus, publishAt });
+    const metadata = generateMetadata({ memeTitles, credits, privacyStatus, publishAt });
     console.log(`📝 Title: ${metadata.snippet.title}`);
     if (publishAt) {
       console.log(`📅 Scheduled: ${new Date(publishAt).toLocaleString()}`);
@@ -289,6 +380,18 @@ async function uploadVideo(videoPath, options = {}) {
     console.log(`📊 Studio URL: ${studioUrl}`);
     console.log('═'.repeat(50));
     
+    // Custom thumbnail, made alongside the video
+    let thumbnailStatus = 'none';
+    if (THUMBNAIL_UPLOAD && fs.existsSync(thumbnailPath)) {
+      thumbnailStatus = await setThumbnail(youtube, videoId, thumbnailPath);
+    }
+    
+    // Caption track from the subtitle sidecar, in the video's language
+    let captionStatus = 'none';
+    if (CAPTION_UPLOAD && captionPath && fs.existsSync(captionPath)) {
+      captionStatus = await uploadCaptions(youtube, videoId, captionPath, metadata.snippet.defaultLanguage);
+    }
+    
     return {
       success: true,
       videoId,
@@ -296,6 +399,8 @@ async function uploadVideo(videoPath, options = {}) {
       studioUrl,
       title: metadata.snippet.title,
       publishAt: publishAt || null,
+      thumbnail: thumbnailStatus,
+      captions: captionStatus,
     };
     
   } catch (error) {